@@ -1,16 +1,149 @@
-const PDFJS_SOURCES = [
-  {
-    lib: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
-    worker: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js'
-  },
-  {
-    lib: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.min.js',
-    worker: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js'
-  }
-];
+const PDFJS_ASSETS = {
+  lib: 'vendor/pdfjs/pdf.min.js',
+  worker: 'vendor/pdfjs/pdf.worker.min.js'
+};
 const SETTINGS_KEY = 'pdf-story-reader-v2-settings';
 const POSITION_KEY_PREFIX = 'pdf-story-reader-v2-position:';
+const FILTER_KEY_PREFIX = 'pdf-story-reader-v2-filters:';
+const ANNOTATIONS_KEY_PREFIX = 'pdf-story-reader-v2-annotations:';
+const CAST_KEY_PREFIX = 'pdf-story-reader-v2-cast:';
+const LEXICON_KEY = 'pdf-story-reader-v2-lexicon';
+const LEXICON_KEY_PREFIX = 'pdf-story-reader-v2-lexicon:';
+const SPEECH_RATES_KEY = 'pdf-story-reader-v2-speech-rates';
+const LIBRARY_DB_NAME = 'pdf-story-reader-library';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORES = ['books', 'texts', 'files'];
+// Bump whenever page text, unit, segment or speaker extraction changes so cached books are rebuilt.
+const TEXT_CACHE_VERSION = 10;
+const EXTRACT_WORKER_URL = 'extract-worker.js?v=20261019-32';
+const SERVICE_WORKER_URL = 'sw.js';
+// Shared with sw.js, which stores books shared from other apps there.
+const SHARE_CACHE_NAME = 'pdf-story-reader-shared';
+const SHARED_FILE_URL = 'shared-file';
+const FILTER_KIND_LABELS = {
+  header: 'Running header',
+  footer: 'Running footer',
+  'page-number': 'Page numbers',
+  'footnote-marker': 'Footnote markers',
+  caption: 'Captions',
+  sidebar: 'Sidebars'
+};
+const OCR_ASSETS = {
+  script: 'vendor/tesseract/tesseract.min.js',
+  worker: 'vendor/tesseract/worker.min.js',
+  core: 'vendor/tesseract/tesseract-core-lstm.wasm.js',
+  lang: 'vendor/tesseract/lang'
+};
+const OCR_LANGUAGE = 'eng';
+const OCR_RENDER_SCALE = 2;
+const OCR_LOW_CONFIDENCE = 60;
+// Search lists at most this many matches, each with this much text either side of it.
+const SEARCH_RESULT_LIMIT = 500;
+const SEARCH_SNIPPET_CHARS = 60;
 const MEDIA_SESSION_ARTWORK_URL = 'data:image/svg+xml,%3Csvg%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%20viewBox%3D%220%200%20100%20100%22%3E%3Crect%20width%3D%22100%22%20height%3D%22100%22%20rx%3D%2222%22%20fill%3D%22%238b7cff%22%2F%3E%3Ctext%20x%3D%2250%22%20y%3D%2261%22%20text-anchor%3D%22middle%22%20font-size%3D%2236%22%20font-family%3D%22Arial%22%20font-weight%3D%22700%22%20fill%3D%22white%22%3ESR%3C%2Ftext%3E%3C%2Fsvg%3E';
+const NARRATION_WORDS_PER_MINUTE = 155;
+// Exported audio is 16-bit mono at one rate; voices recorded at other rates are resampled.
+const EXPORT_SAMPLE_RATE = 22050;
+// RIFF sizes are 32-bit, so a WAV file holds at most 4 GB; longer exports are split into parts below this much audio,
+// leaving room for the header and chapter markers (about 27 hours per part).
+const WAV_MAX_BYTES = 0xFFFFFFFF;
+const EXPORT_PART_BYTES = WAV_MAX_BYTES - 1048576;
+const CUE_SHEET_MAX_TRACKS = 99;
+// Average characters per spoken word, including the following space.
+const CHARS_PER_WORD = 6;
+// Speaking speed assumed for a voice until narration has been timed with it.
+const DEFAULT_CHARS_PER_SECOND = (NARRATION_WORDS_PER_MINUTE * CHARS_PER_WORD) / 60;
+// The timeline is only rebuilt when timed narration moves a voice's speed by more than this share.
+const TIMELINE_RECALIBRATE_SHARE = 0.05;
+// Pauses after each segment and before each unit; the time model counts them as listening time.
+const SEGMENT_PAUSE_MS = { narration: 85, dialogue: 115 };
+const UNIT_PAUSE_MS = { sentence: 170, paragraph: 420, scene: 1200, chapter: 1800 };
+// Expressive reading at full Expression: how a passage's ending, italics and speech tag change pitch, speed,
+// volume and the pause after it. Questions rise, exclamations are brisker, trailing and broken-off lines linger.
+const PROSODY_CUES = {
+  question: { pitch: 0.08, rate: 1, volume: 1, pause: 80 },
+  exclamation: { pitch: 0.06, rate: 1.06, volume: 1.1, pause: 80 },
+  ellipsis: { pitch: -0.04, rate: 0.9, volume: 0.9, pause: 420 },
+  dash: { pitch: 0.02, rate: 1.06, volume: 1, pause: 200 },
+  italic: { pitch: 0.04, rate: 0.94, volume: 1, pause: 0 }
+};
+// Italic passages are only voiced as such when most of their words are italic.
+const ITALIC_SHARE = 0.6;
+// Dialogue without a named speaker is lifted slightly so it stands apart from the narration.
+const DIALOGUE_PITCH_OFFSET = 0.02;
+// Lines attributed with less confidence than this are marked in the text and read by the dialogue voice.
+const LOW_SPEAKER_CONFIDENCE = 0.5;
+// Voice styles on top of a character's profile; browsers cannot truly whisper, so these are quieter or louder, slower or faster readings.
+// Also used, scaled by Expression, for lines whose speech tag whispers or shouts.
+const CHARACTER_STYLES = {
+  whisper: { label: 'Whisper', pitch: -0.05, rate: 0.9, volume: 0.55 },
+  shout: { label: 'Shout', pitch: 0.1, rate: 1.08, volume: 1.3 }
+};
+// Pitch and speed given to characters in turn once every voice is in use, so voices can be shared.
+const CHARACTER_SPREAD = [
+  { pitch: 0, rate: 1 },
+  { pitch: -0.12, rate: 0.96 },
+  { pitch: 0.12, rate: 1.04 },
+  { pitch: -0.22, rate: 0.93 },
+  { pitch: 0.22, rate: 1.07 }
+];
+// Every action the command palette offers, in palette order. `keys` is the default shortcut;
+// `repeat` lets a held key run the command again.
+const READER_COMMANDS = [
+  { id: 'play-pause', label: 'Play / pause', keys: 'Space' },
+  { id: 'seek-back', label: 'Back 15 seconds', keys: 'J', repeat: true },
+  { id: 'seek-forward', label: 'Forward 15 seconds', keys: 'L', repeat: true },
+  { id: 'speed-down', label: 'Slower', keys: '[', repeat: true },
+  { id: 'speed-up', label: 'Faster', keys: ']', repeat: true },
+  { id: 'previous-page', label: 'Previous page', keys: 'P', repeat: true },
+  { id: 'next-page', label: 'Next page', keys: 'N', repeat: true },
+  { id: 'previous-chapter', label: 'Previous chapter', keys: 'Shift+P' },
+  { id: 'next-chapter', label: 'Next chapter', keys: 'Shift+N' },
+  { id: 'bookmark', label: 'Bookmark this passage', keys: 'B' },
+  { id: 'highlight', label: 'Highlight sentence', keys: 'H' },
+  { id: 'note', label: 'Add a note', keys: 'A' },
+  { id: 'follow-reading', label: 'Follow reading on / off', keys: 'F' },
+  { id: 'go-to-reading-page', label: 'Go to reading page', keys: 'G' },
+  { id: 'read-this-page', label: 'Read this page', keys: 'R' },
+  { id: 'zoom-out', label: 'Zoom out', keys: '-', repeat: true },
+  { id: 'zoom-in', label: 'Zoom in', keys: '=', repeat: true },
+  { id: 'chapters', label: 'Show chapters', keys: 'C' },
+  { id: 'notes', label: 'Show notes', keys: 'Shift+B' },
+  { id: 'search', label: 'Search the book', keys: '/' },
+  { id: 'cast', label: 'Edit cast', keys: '' },
+  { id: 'change-speaker', label: 'Change who says this line', keys: '' },
+  { id: 'pronunciation', label: 'Show pronunciation', keys: '' },
+  { id: 'skipped-text', label: 'Show skipped text', keys: '' },
+  { id: 'recognize-text', label: 'Recognize text', keys: '' },
+  { id: 'export-audio', label: 'Export audio', keys: '' },
+  { id: 'export-notes-markdown', label: 'Export notes as Markdown', keys: '' },
+  { id: 'export-notes-json', label: 'Export notes as JSON', keys: '' },
+  { id: 'export-pronunciation', label: 'Export pronunciation rules', keys: '' },
+  { id: 'import-pronunciation', label: 'Import pronunciation rules', keys: '' },
+  { id: 'pitch-down', label: 'Lower pitch', keys: '', repeat: true },
+  { id: 'pitch-up', label: 'Raise pitch', keys: '', repeat: true },
+  { id: 'volume-down', label: 'Quieter', keys: '', repeat: true },
+  { id: 'volume-up', label: 'Louder', keys: '', repeat: true },
+  { id: 'expression-down', label: 'Less expression', keys: '', repeat: true },
+  { id: 'expression-up', label: 'More expression', keys: '', repeat: true },
+  { id: 'text-smaller', label: 'Smaller text', keys: '', repeat: true },
+  { id: 'text-larger', label: 'Larger text', keys: '', repeat: true },
+  { id: 'character-voices', label: 'Character voices on / off', keys: '' },
+  { id: 'read-numbers', label: 'Read numbers & abbreviations on / off', keys: '' },
+  { id: 'prefer-natural', label: 'Prefer natural voices on / off', keys: '' },
+  { id: 'show-layout', label: 'Show layout on / off', keys: '' },
+  { id: 'preview-voices', label: 'Preview voices', keys: '' },
+  { id: 'choose-engine', label: 'Choose speech engine', keys: '' },
+  { id: 'choose-narrator', label: 'Choose narrator voice', keys: '' },
+  { id: 'choose-dialogue', label: 'Choose dialogue voice', keys: '' },
+  { id: 'sleep-timer', label: 'Set sleep timer', keys: '' },
+  { id: 'change-book', label: 'Change book', keys: '' },
+  { id: 'choose-book', label: 'Choose a book', keys: '' },
+  { id: 'clear-library', label: 'Clear library storage', keys: '' },
+  { id: 'apply-update', label: 'Reload to update', keys: '' },
+  { id: 'shortcuts', label: 'Keyboard shortcuts', keys: '?' },
+  { id: 'command-palette', label: 'Command palette', keys: 'Ctrl+K' }
+];
 const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
 
 function clamp(value, min, max) {
@@ -26,25 +159,210 @@ function escapeHtml(value) {
     .replace(/'/g, '&#039;');
 }
 
-function normalizeSpaces(text) {
-  return String(text || '')
-    .replace(/[\u00a0\u2007\u202f]/g, ' ')
-    .replace(/[ \t]+/g, ' ')
-    .replace(/\s+([,.;:!?])/g, '$1')
-    .replace(/([“"'])\s+/g, '$1')
-    .replace(/\s+([”"'])/g, '$1')
-    .trim();
+function downloadFile(name, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function writeAscii(view, offset, text) {
+  [...text].forEach((char, index) => view.setUint8(offset + index, char.charCodeAt(0)));
+}
+
+// 16-bit mono PCM header; `extraBytes` counts chunks written after the audio data.
+function writeWavHeader(view, sampleRate, dataBytes, extraBytes = 0) {
+  writeAscii(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes + extraBytes, true);
+  writeAscii(view, 8, 'WAVE');
+  writeAscii(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeAscii(view, 36, 'data');
+  view.setUint32(40, dataBytes, true);
+}
+
+// Chapter markers as a `cue ` chunk named by `labl` entries in a LIST/adtl chunk.
+function wavCueChunks(markers) {
+  const encoder = new TextEncoder();
+  const labels = markers.map(marker => encoder.encode(`${marker.label}\0`));
+  const cueBytes = 12 + markers.length * 24;
+  const listBytes = 12 + labels.reduce((sum, label) => sum + 12 + label.length + (label.length % 2), 0);
+  const view = new DataView(new ArrayBuffer(cueBytes + listBytes));
+
+  writeAscii(view, 0, 'cue ');
+  view.setUint32(4, cueBytes - 8, true);
+  view.setUint32(8, markers.length, true);
+  markers.forEach((marker, index) => {
+    const offset = 12 + index * 24;
+    view.setUint32(offset, index + 1, true);
+    view.setUint32(offset + 4, marker.sample, true);
+    writeAscii(view, offset + 8, 'data');
+    view.setUint32(offset + 20, marker.sample, true);
+  });
+
+  let offset = cueBytes;
+  writeAscii(view, offset, 'LIST');
+  view.setUint32(offset + 4, listBytes - 8, true);
+  writeAscii(view, offset + 8, 'adtl');
+  offset += 12;
+  labels.forEach((label, index) => {
+    writeAscii(view, offset, 'labl');
+    view.setUint32(offset + 4, 4 + label.length, true);
+    view.setUint32(offset + 8, index + 1, true);
+    new Uint8Array(view.buffer, offset + 12, label.length).set(label);
+    offset += 12 + label.length + (label.length % 2);
+  });
+  return view.buffer;
+}
+
+// `parts` are Int16 PCM buffers or Blobs of them; they go into the Blob as they are, so long books are never copied into one array.
+function encodeWav(sampleRate, parts, markers = []) {
+  const dataBytes = parts.reduce((sum, part) => sum + (part.size ?? part.byteLength), 0);
+  const cue = markers.length ? wavCueChunks(markers) : new ArrayBuffer(0);
+  if (36 + dataBytes + cue.byteLength > WAV_MAX_BYTES) throw new Error('The audio is too long for one WAV file.');
+  const header = new DataView(new ArrayBuffer(44));
+  writeWavHeader(header, sampleRate, dataBytes, cue.byteLength);
+  return new Blob([header, ...parts, cue], { type: 'audio/wav' });
+}
+
+function resamplePcm(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.round(samples.length / ratio));
+  for (let index = 0; index < output.length; index += 1) {
+    const position = index * ratio;
+    const before = Math.floor(position);
+    const after = Math.min(before + 1, samples.length - 1);
+    output[index] = samples[before] + (samples[after] - samples[before]) * (position - before);
+  }
+  return output;
+}
+
+function floatToPcm16(samples) {
+  const pcm = new Int16Array(samples.length);
+  samples.forEach((sample, index) => {
+    pcm[index] = clamp(Math.round(sample * 32767), -32768, 32767);
+  });
+  return pcm;
+}
+
+function formatClock(seconds) {
+  const total = Math.round(seconds);
+  const pad = value => String(value).padStart(2, '0');
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor(total / 60) % 60;
+  return hours ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`;
+}
+
+// Shortcuts are written like "Shift+N" or "Ctrl+K"; Shift is only named where it does not change the key itself.
+function shortcutFromEvent(event) {
+  const key = event.key;
+  if (!key || ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'Dead', 'Unidentified', 'Process'].includes(key)) return '';
+  const name = key === ' ' ? 'Space' : key.length === 1 ? key.toUpperCase() : key;
+  const parts = [];
+  if (event.ctrlKey || event.metaKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey && (/^[A-Z]$/.test(name) || name.length > 1)) parts.push('Shift');
+  parts.push(name);
+  return parts.join('+');
+}
+
+function emptyCastEdits() {
+  return { aliases: {}, hidden: [], added: [], lines: {}, profiles: {} };
+}
+
+function ownValue(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+// Dialogue lines are keyed by page and text, numbered when the same words recur on a page,
+// so cast edits still find them after the book's text is rebuilt.
+function forEachDialogueLine(units, callback) {
+  const seen = new Map();
+  units.forEach(unit => unit.segments.forEach(segment => {
+    if (segment.type !== 'dialogue') return;
+    const base = `${unit.page}|${normalizeToken(segment.text).slice(0, 80)}`;
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    callback(segment, count ? `${base}|${count}` : base);
+  }));
+}
+
+// The search box as a global pattern. Throws for an invalid regular expression.
+function searchPattern(query, { matchCase, wholeWord, regex }) {
+  const source = regex ? query : escapeRegExp(query);
+  const bounded = wholeWord ? `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])` : source;
+  return new RegExp(bounded, matchCase ? 'gu' : 'giu');
+}
+
+// Where each segment starts in its unit's text: segments are trimmed slices of it, in order.
+function segmentStarts(unit) {
+  let cursor = 0;
+  return unit.segments.map(segment => {
+    const found = unit.text.indexOf(segment.text, cursor);
+    const start = found >= 0 ? found : cursor;
+    cursor = start + segment.text.length;
+    return start;
+  });
+}
+
+function isTypingTarget(target) {
+  if (!(target instanceof Element)) return false;
+  if (target.isContentEditable || target.closest('textarea, select')) return true;
+  return target.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button', 'submit', 'reset', 'file', 'color'].includes(target.type);
+}
+
+// Cue sheet times are MM:SS:FF with 75 frames per second, and a sheet holds at most 99 tracks.
+function cueSheet(title, fileName, markers, sampleRate) {
+  const quote = text => `"${String(text).replace(/"/g, "'")}"`;
+  const pad = value => String(value).padStart(2, '0');
+  const lines = [`TITLE ${quote(title)}`, `FILE ${quote(fileName)} WAVE`];
+  markers.slice(0, CUE_SHEET_MAX_TRACKS).forEach((marker, index) => {
+    const frames = Math.round((marker.sample / sampleRate) * 75);
+    const time = `${pad(Math.floor(frames / 4500))}:${pad(Math.floor(frames / 75) % 60)}:${pad(frames % 75)}`;
+    lines.push(`  TRACK ${pad(index + 1)} AUDIO`, `    TITLE ${quote(marker.label)}`, `    INDEX 01 ${time}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function wordRanges(text) {
+  return Array.from(String(text || '').matchAll(/[\p{L}\p{N}’'-]+/gu), match => ({
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+function wordStartAt(text, offset) {
+  const words = wordRanges(text);
+  const word = words.find(range => range.end > offset) || words[words.length - 1];
+  return word ? word.start : 0;
 }
 
-function wordCount(text) {
-  const match = String(text || '').trim().match(/\b[\p{L}\p{N}’'-]+\b/gu);
-  return match ? match.length : 0;
+function chunkOffsets(text, chunks) {
+  let cursor = 0;
+  return chunks.map(chunk => {
+    const found = text.indexOf(chunk, cursor);
+    const offset = found >= 0 ? found : cursor;
+    cursor = offset + chunk.length;
+    return offset;
+  });
 }
 
-function loadExternalScript(src, timeoutMs = 12000) {
+function loadExternalScript(src, timeoutMs = 12000, isLoaded = () => typeof pdfjsLib !== 'undefined', label = 'PDF support') {
   return new Promise((resolve, reject) => {
-    const existing = Array.from(document.scripts).find(script => script.src === src);
-    if (existing && typeof pdfjsLib !== 'undefined') {
+    const url = new URL(src, document.baseURI).href;
+    const existing = Array.from(document.scripts).find(script => script.src === url);
+    if (existing && isLoaded()) {
       resolve();
       return;
     }
@@ -58,8 +376,8 @@ function loadExternalScript(src, timeoutMs = 12000) {
       callback(value);
     };
     const onLoad = finish(resolve);
-    const onError = finish(() => reject(new Error('Could not load PDF support.')));
-    const timer = setTimeout(finish(() => reject(new Error('PDF support took too long to load.'))) , timeoutMs);
+    const onError = finish(() => reject(new Error(`Could not load ${label}.`)));
+    const timer = setTimeout(finish(() => reject(new Error(`${label} took too long to load.`))) , timeoutMs);
 
     script.addEventListener('load', onLoad, { once: true });
     script.addEventListener('error', onError, { once: true });
@@ -72,8 +390,173 @@ function loadExternalScript(src, timeoutMs = 12000) {
   });
 }
 
+class BookLibrary {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  get available() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.available) return Promise.reject(new Error('On-device storage is unavailable in this browser.'));
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        LIBRARY_STORES.forEach(name => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'fileKey' });
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('Could not open on-device storage.'));
+      request.onblocked = () => reject(new Error('Close other tabs of this reader to update storage.'));
+    });
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+    return this.dbPromise;
+  }
+
+  async run(storeNames, mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const request = work(transaction);
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Storage update was cancelled.'));
+    });
+  }
+
+  async listBooks() {
+    const books = await this.run('books', 'readonly', transaction => transaction.objectStore('books').getAll());
+    return (books || []).sort((a, b) => (b.openedAt || 0) - (a.openedAt || 0));
+  }
+
+  getBook(fileKey) {
+    return this.run('books', 'readonly', transaction => transaction.objectStore('books').get(fileKey));
+  }
+
+  getText(fileKey) {
+    return this.run('texts', 'readonly', transaction => transaction.objectStore('texts').get(fileKey));
+  }
+
+  getFile(fileKey) {
+    return this.run('files', 'readonly', transaction => transaction.objectStore('files').get(fileKey));
+  }
+
+  saveText(text) {
+    return this.run('texts', 'readwrite', transaction => transaction.objectStore('texts').put(text));
+  }
+
+  saveBook(book, text, file) {
+    return this.run(LIBRARY_STORES, 'readwrite', transaction => {
+      transaction.objectStore('books').put(book);
+      if (text) transaction.objectStore('texts').put(text);
+      if (file) transaction.objectStore('files').put(file);
+    });
+  }
+
+  updateBook(fileKey, changes) {
+    return this.run('books', 'readwrite', transaction => {
+      const store = transaction.objectStore('books');
+      const request = store.get(fileKey);
+      request.onsuccess = () => {
+        if (request.result) store.put({ ...request.result, ...changes, fileKey });
+      };
+    });
+  }
+
+  removeBook(fileKey) {
+    return this.run(LIBRARY_STORES, 'readwrite', transaction => {
+      LIBRARY_STORES.forEach(name => transaction.objectStore(name).delete(fileKey));
+    });
+  }
+
+  clear() {
+    return this.run(LIBRARY_STORES, 'readwrite', transaction => {
+      LIBRARY_STORES.forEach(name => transaction.objectStore(name).clear());
+    });
+  }
+}
+
+class PageTextProcessor {
+  constructor(options = {}) {
+    this.worker = null;
+    this.pending = new Map();
+    this.nextId = 0;
+    this.context = createExtractionContext(options);
+    if (typeof Worker === 'undefined') return;
+
+    try {
+      this.worker = new Worker(EXTRACT_WORKER_URL);
+      this.worker.addEventListener('message', event => this.handleMessage(event.data));
+      this.worker.addEventListener('error', event => this.fallBackToMainThread(event));
+      this.worker.postMessage({ type: 'configure', options });
+    } catch (error) {
+      console.warn('Extraction worker unavailable, processing pages on the main thread:', error);
+      this.worker = null;
+    }
+  }
+
+  process(page, content) {
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextId, page, content, resolve, reject };
+      this.nextId += 1;
+      if (!this.worker) {
+        this.runInline(job);
+        return;
+      }
+      this.pending.set(job.id, job);
+      this.worker.postMessage({ id: job.id, page, content });
+    });
+  }
+
+  runInline(job) {
+    try {
+      job.resolve(processPageContent(job.content, job.page, this.context));
+    } catch (error) {
+      job.reject(error);
+    }
+  }
+
+  handleMessage(message) {
+    const job = this.pending.get(message?.id);
+    if (!job) return;
+    this.pending.delete(job.id);
+    if (message.error) job.reject(new Error(message.error));
+    else job.resolve({ pageText: message.pageText, units: message.units, removed: message.removed || [] });
+  }
+
+  fallBackToMainThread(event) {
+    console.warn('Extraction worker failed, processing pages on the main thread:', event?.message || event);
+    event?.preventDefault?.();
+    this.worker?.terminate();
+    this.worker = null;
+    const jobs = Array.from(this.pending.values()).sort((a, b) => a.id - b.id);
+    this.pending.clear();
+    jobs.forEach(job => this.runInline(job));
+  }
+
+  close() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.pending.forEach(job => {
+      const error = new Error('Page processing was cancelled.');
+      error.name = 'AbortError';
+      job.reject(error);
+    });
+    this.pending.clear();
+  }
+}
+
 class PDFStoryReader {
   constructor() {
+    this.source = null;
     this.pdfDoc = null;
     this.file = null;
     this.fileKey = '';
@@ -85,16 +568,42 @@ class PDFStoryReader {
     this.renderTask = null;
     this.isPlaying = false;
     this.sessionToken = 0;
-    this.speechSynthesis = 'speechSynthesis' in window ? window.speechSynthesis : null;
+    this.speechEngines = [new WebSpeechEngine(), new NeuralSpeechEngine(loadExternalScript)];
+    this.speechEngine = null;
     this.voices = [];
     this.narratorVoice = null;
     this.dialogueVoice = null;
-    this.speakerVoiceNames = new Map();
+    this.castProfiles = new Map();
+    this.tunedCastName = '';
     this.detectedSpeakers = [];
+    this.outline = [];
+    this.chapters = [];
+    this.chapterOrigin = '';
+    this.currentChapterIndex = -1;
+    this.sleepAtChapterEnd = false;
+    this.filteredLines = new Map();
+    this.filterKeep = new Set();
+    this.pendingFilterKeep = new Set();
+    this.annotations = [];
+    this.searchResults = [];
+    this.searchIndex = -1;
+    this.searchQuery = '';
+    this.searchNote = '';
+    this.searchTimer = null;
+    this.revealSearchMatch = false;
+    this.castEdits = emptyCastEdits();
+    this.castRevision = 0;
+    this.lexiconRules = { global: [], book: [] };
+    this.lexicon = [];
     this.speechRate = 1;
     this.speechPitch = 1;
     this.speechVolume = 1;
+    this.prosodyIntensity = 0.5;
     this.smartVoices = true;
+    this.languageVoices = {};
+    this.bookLanguage = '';
+    this.bookLanguages = [];
+    this.normalizeSpeech = true;
     this.preferNaturalVoices = true;
     this.followNarration = true;
     this.pageZoom = 110;
@@ -103,7 +612,37 @@ class PDFStoryReader {
     this.backgroundAudio = null;
     this.iosKeepAliveTimer = null;
     this.toastTimer = null;
+    this.updateRequested = false;
+    this.waitingWorker = null;
     this.lastRenderedPage = null;
+    this.pageViewport = null;
+    this.textLayerTask = null;
+    this.pendingStartOffset = null;
+    this.spokenWord = null;
+    this.boundaryVoices = new Map();
+    this.wordEstimateDelay = null;
+    this.wordEstimateTimer = null;
+    this.pageProcessor = null;
+    this.extractionToken = 0;
+    this.extracting = false;
+    this.extractedPages = 0;
+    this.ocrWorker = null;
+    this.ocrToken = 0;
+    this.ocrRunning = false;
+    this.ocrProgress = null;
+    this.ocrPages = {};
+    this.exportToken = 0;
+    this.exportRunning = false;
+    this.speechRates = this.loadSpeechRates();
+    this.timeline = null;
+    this.shortcuts = {};
+    this.commands = new Map();
+    this.capturingShortcut = null;
+    this.paletteIndex = 0;
+    this.overlayReturnFocus = null;
+    this.library = new BookLibrary();
+    this.libraryBooks = [];
+    this.libraryUnitIndex = -1;
     this.settings = this.loadSettings();
 
     this.cacheElements();
@@ -111,8 +650,12 @@ class PDFStoryReader {
     this.initVoices();
     this.initBackgroundAudio();
     this.initMediaSession();
+    this.initCommands();
     this.bindEvents();
-    this.setUploadStatus('Choose a PDF to begin.');
+    this.setUploadStatus('Choose a book to begin.');
+    this.refreshLibrary();
+    this.registerServiceWorker();
+    this.initLaunchHandlers();
   }
 
   cacheElements() {
@@ -125,20 +668,113 @@ class PDFStoryReader {
     this.fileInput = byId('file-input');
     this.uploadStatus = byId('upload-status');
     this.changeBook = byId('change-book');
+    this.librarySection = byId('library-section');
+    this.libraryList = byId('library-list');
+    this.libraryUsage = byId('library-usage');
+    this.clearLibraryBtn = byId('clear-library');
 
     this.bookName = byId('book-name');
     this.bookPages = byId('book-pages');
     this.bookWords = byId('book-words');
     this.bookTime = byId('book-time');
+    this.extractStatus = byId('extract-status');
     this.jumpViewerToAudio = byId('jump-viewer-to-audio');
     this.readViewedPage = byId('read-viewed-page');
+    this.toggleChaptersBtn = byId('toggle-chapters');
+    this.chapterPanel = byId('chapter-panel');
+    this.closeChaptersBtn = byId('close-chapters');
+    this.chapterSource = byId('chapter-source');
+    this.chapterList = byId('chapter-list');
+    this.toggleNotesBtn = byId('toggle-notes');
+    this.toggleSearchBtn = byId('toggle-search');
+    this.searchPanel = byId('search-panel');
+    this.closeSearchBtn = byId('close-search');
+    this.searchInput = byId('search-input');
+    this.searchCase = byId('search-case');
+    this.searchWord = byId('search-word');
+    this.searchRegex = byId('search-regex');
+    this.searchPrevBtn = byId('search-prev');
+    this.searchNextBtn = byId('search-next');
+    this.searchReadBtn = byId('search-read');
+    this.searchStatus = byId('search-status');
+    this.searchList = byId('search-results');
+    this.toggleCastBtn = byId('toggle-cast');
+    this.castPanel = byId('cast-panel');
+    this.closeCastBtn = byId('close-cast');
+    this.resetCastBtn = byId('reset-cast');
+    this.castAddName = byId('cast-add-name');
+    this.castAddBtn = byId('cast-add');
+    this.castEditorList = byId('cast-editor-list');
+    this.castHidden = byId('cast-hidden');
+    this.notesPanel = byId('notes-panel');
+    this.closeNotesBtn = byId('close-notes');
+    this.notesList = byId('notes-list');
+    this.exportNotesMarkdown = byId('export-notes-md');
+    this.exportNotesJson = byId('export-notes-json');
+    this.highlightBtn = byId('highlight-btn');
+    this.noteBtn = byId('note-btn');
+    this.speakerBtn = byId('speaker-btn');
+    this.toggleLexiconBtn = byId('toggle-lexicon');
+    this.lexiconPanel = byId('lexicon-panel');
+    this.closeLexiconBtn = byId('close-lexicon');
+    this.lexiconScope = byId('lexicon-scope');
+    this.lexiconMatch = byId('lexicon-match');
+    this.lexiconSay = byId('lexicon-say');
+    this.lexiconRegex = byId('lexicon-regex');
+    this.lexiconSample = byId('lexicon-sample');
+    this.lexiconPreviewBtn = byId('lexicon-preview');
+    this.lexiconAddBtn = byId('lexicon-add');
+    this.lexiconList = byId('lexicon-list');
+    this.importLexiconBtn = byId('import-lexicon');
+    this.exportLexiconBtn = byId('export-lexicon');
+    this.lexiconFile = byId('lexicon-file');
+    this.toggleFiltersBtn = byId('toggle-filters');
+    this.filterPanel = byId('filter-panel');
+    this.closeFiltersBtn = byId('close-filters');
+    this.filterSummary = byId('filter-summary');
+    this.filterList = byId('filter-list');
+    this.applyFiltersBtn = byId('apply-filters');
+    this.openOcrBtn = byId('open-ocr');
+    this.ocrPanel = byId('ocr-panel');
+    this.closeOcrBtn = byId('close-ocr');
+    this.ocrFrom = byId('ocr-from');
+    this.ocrTo = byId('ocr-to');
+    this.ocrStart = byId('ocr-start');
+    this.ocrCancel = byId('ocr-cancel');
+    this.ocrProgressFill = byId('ocr-progress-fill');
+    this.ocrStatus = byId('ocr-status');
+    this.ocrPageList = byId('ocr-pages');
+    this.openExportBtn = byId('open-export');
+    this.exportPanel = byId('export-panel');
+    this.closeExportBtn = byId('close-export');
+    this.exportHelp = byId('export-help');
+    this.exportRange = byId('export-range');
+    this.exportChapters = byId('export-chapters');
+    this.exportChapterFrom = byId('export-chapter-from');
+    this.exportChapterTo = byId('export-chapter-to');
+    this.exportPages = byId('export-pages');
+    this.exportFromLabel = byId('export-from-label');
+    this.exportFrom = byId('export-from');
+    this.exportTo = byId('export-to');
+    this.exportCueSheet = byId('export-cue-sheet');
+    this.exportStart = byId('export-start');
+    this.exportCancel = byId('export-cancel');
+    this.exportProgressFill = byId('export-progress-fill');
+    this.exportStatus = byId('export-status');
 
     this.followNarrationCheckbox = byId('follow-narration');
+    this.pageStage = byId('page-stage');
+    this.documentView = byId('document-view');
     this.pdfCanvas = byId('pdf-canvas');
+    this.highlightLayer = byId('pdf-highlight-layer');
+    this.textLayer = byId('pdf-text-layer');
+    this.layoutLayer = byId('pdf-layout-layer');
+    this.showLayoutCheckbox = byId('show-layout');
     this.pageRenderStatus = byId('page-render-status');
     this.prevPage = byId('prev-page');
     this.nextPage = byId('next-page');
     this.pageNumber = byId('page-number');
+    this.pageNumberLabel = document.querySelector('label[for="page-number"]');
     this.pageCount = byId('page-count');
     this.pageZoomControl = byId('page-zoom');
     this.pageZoomValue = byId('page-zoom-value');
@@ -150,12 +786,14 @@ class PDFStoryReader {
     this.progressBar = byId('progress-bar');
     this.progressFill = byId('progress-fill');
     this.progressThumb = byId('progress-thumb');
+    this.progressChapters = byId('progress-chapters');
     this.progressLabel = byId('progress-label');
     this.remainingTime = byId('remaining-time');
     this.rewindBtn = byId('rewind-btn');
     this.playPauseBtn = byId('play-pause-btn');
     this.playIcon = byId('play-icon');
     this.forwardBtn = byId('forward-btn');
+    this.bookmarkBtn = byId('bookmark-btn');
 
     this.speedControl = byId('speed-control');
     this.speedValue = byId('speed-value');
@@ -163,16 +801,24 @@ class PDFStoryReader {
     this.pitchValue = byId('pitch-value');
     this.volumeControl = byId('volume-control');
     this.volumeValue = byId('volume-value');
+    this.expressionControl = byId('expression-control');
+    this.expressionValue = byId('expression-value');
     this.fontSizeControl = byId('font-size-control');
     this.fontSizeValue = byId('font-size-value');
     this.sleepTimer = byId('sleep-timer');
     this.voiceSelect = byId('voice-select');
     this.dialogueVoiceSelect = byId('dialogue-voice-select');
     this.smartVoicesCheckbox = byId('smart-voices');
+    this.normalizeSpeechCheckbox = byId('normalize-speech');
+    this.languageVoicesSection = byId('language-voices');
+    this.languageVoiceList = byId('language-voice-list');
     this.preferNaturalVoicesCheckbox = byId('prefer-natural-voices');
     this.previewVoices = byId('preview-voices');
+    this.speechEngineSelect = byId('speech-engine');
+    this.speechEngineStatus = byId('speech-engine-status');
     this.castList = byId('cast-list');
     this.castCount = byId('cast-count');
+    this.editCastBtn = byId('edit-cast');
 
     this.loadingOverlay = byId('loading-overlay');
     this.loadingTitle = byId('loading-title');
@@ -180,6 +826,18 @@ class PDFStoryReader {
     this.loadingFill = byId('loading-fill');
     this.loadingPercent = byId('loading-percent');
     this.toast = byId('toast');
+    this.updateBanner = byId('update-banner');
+    this.applyUpdateBtn = byId('apply-update');
+    this.dismissUpdateBtn = byId('dismiss-update');
+    this.openShortcutsBtn = byId('open-shortcuts');
+    this.commandPalette = byId('command-palette');
+    this.commandSearch = byId('command-search');
+    this.commandList = byId('command-list');
+    this.shortcutHelp = byId('shortcut-help');
+    this.shortcutHint = byId('shortcut-hint');
+    this.shortcutList = byId('shortcut-list');
+    this.resetShortcutsBtn = byId('reset-shortcuts');
+    this.closeShortcutsBtn = byId('close-shortcuts');
 
     this.canvasContext = this.pdfCanvas?.getContext?.('2d', { alpha: false }) || null;
   }
@@ -197,13 +855,18 @@ class PDFStoryReader {
       speechRate: this.speechRate,
       speechPitch: this.speechPitch,
       speechVolume: this.speechVolume,
+      prosodyIntensity: this.prosodyIntensity,
       smartVoices: this.smartVoices,
+      normalizeSpeech: this.normalizeSpeech,
       preferNaturalVoices: this.preferNaturalVoices,
       followNarration: this.followNarration,
       pageZoom: this.pageZoom,
       readerFontSize: this.readerFontSize,
+      speechEngine: this.speechEngine?.id || '',
       narratorVoiceName: this.narratorVoice?.name || '',
-      dialogueVoiceName: this.dialogueVoice?.name || ''
+      dialogueVoiceName: this.dialogueVoice?.name || '',
+      languageVoices: this.languageVoices,
+      shortcuts: this.shortcuts
     };
 
     try {
@@ -217,16 +880,30 @@ class PDFStoryReader {
     this.speechRate = Number(this.settings.speechRate) || 1;
     this.speechPitch = Number(this.settings.speechPitch) || 1;
     this.speechVolume = Number(this.settings.speechVolume) || 1;
+    // Zero is a valid choice: flat reading.
+    const intensity = Number(this.settings.prosodyIntensity);
+    this.prosodyIntensity = Number.isFinite(intensity) ? clamp(intensity, 0, 1) : 0.5;
     this.smartVoices = this.settings.smartVoices !== false;
+    this.normalizeSpeech = this.settings.normalizeSpeech !== false;
+    this.languageVoices = this.settings.languageVoices && typeof this.settings.languageVoices === 'object'
+      ? { ...this.settings.languageVoices }
+      : {};
     this.preferNaturalVoices = this.settings.preferNaturalVoices !== false;
     this.followNarration = this.settings.followNarration !== false;
     this.pageZoom = Number(this.settings.pageZoom) || 110;
     this.readerFontSize = Number(this.settings.readerFontSize) || 21;
+    // Only changed shortcuts are saved; an empty string removes a default one.
+    this.shortcuts = {};
+    Object.entries(this.settings.shortcuts || {}).forEach(([id, keys]) => {
+      if (typeof keys === 'string' && READER_COMMANDS.some(command => command.id === id)) this.shortcuts[id] = keys;
+    });
 
     if (this.speedControl) this.speedControl.value = String(this.speechRate);
     if (this.pitchControl) this.pitchControl.value = String(this.speechPitch);
     if (this.volumeControl) this.volumeControl.value = String(this.speechVolume);
+    if (this.expressionControl) this.expressionControl.value = String(this.prosodyIntensity);
     if (this.smartVoicesCheckbox) this.smartVoicesCheckbox.checked = this.smartVoices;
+    if (this.normalizeSpeechCheckbox) this.normalizeSpeechCheckbox.checked = this.normalizeSpeech;
     if (this.preferNaturalVoicesCheckbox) this.preferNaturalVoicesCheckbox.checked = this.preferNaturalVoices;
     if (this.followNarrationCheckbox) this.followNarrationCheckbox.checked = this.followNarration;
     if (this.pageZoomControl) this.pageZoomControl.value = String(this.pageZoom);
@@ -238,6 +915,7 @@ class PDFStoryReader {
     if (this.speedValue) this.speedValue.textContent = `${this.speechRate.toFixed(2)}×`;
     if (this.pitchValue) this.pitchValue.textContent = this.speechPitch.toFixed(2);
     if (this.volumeValue) this.volumeValue.textContent = `${Math.round(this.speechVolume * 100)}%`;
+    if (this.expressionValue) this.expressionValue.textContent = this.prosodyIntensity ? `${Math.round(this.prosodyIntensity * 100)}%` : 'Off';
     if (this.fontSizeValue) this.fontSizeValue.textContent = `${this.readerFontSize}px`;
     if (this.pageZoomValue) this.pageZoomValue.textContent = `${this.pageZoom}%`;
     document.documentElement.style.setProperty('--reader-font-size', `${this.readerFontSize}px`);
@@ -308,9 +986,18 @@ class PDFStoryReader {
     document.addEventListener('drop', event => event.preventDefault());
 
     on(this.changeBook, 'click', () => this.resetReader());
+    on(this.clearLibraryBtn, 'click', () => this.clearLibrary());
     on(this.playPauseBtn, 'click', () => this.togglePlayPause());
     on(this.rewindBtn, 'click', () => this.seekBySeconds(-15));
     on(this.forwardBtn, 'click', () => this.seekBySeconds(15));
+    on(this.bookmarkBtn, 'click', () => this.addBookmark());
+    on(this.highlightBtn, 'click', () => this.toggleHighlight());
+    on(this.noteBtn, 'click', () => this.addNote());
+    on(this.speakerBtn, 'click', () => this.changeLineSpeaker());
+    on(this.toggleNotesBtn, 'click', () => this.notesPanel?.classList.toggle('hidden'));
+    on(this.closeNotesBtn, 'click', () => this.notesPanel?.classList.add('hidden'));
+    on(this.exportNotesMarkdown, 'click', () => this.exportAnnotations('markdown'));
+    on(this.exportNotesJson, 'click', () => this.exportAnnotations('json'));
 
     on(this.prevPage, 'click', () => this.browsePage(this.viewerPage - 1));
     on(this.nextPage, 'click', () => this.browsePage(this.viewerPage + 1));
@@ -335,6 +1022,8 @@ class PDFStoryReader {
       }
     });
 
+    on(this.showLayoutCheckbox, 'change', () => this.renderPage(this.viewerPage, true));
+
     on(this.jumpViewerToAudio, 'click', () => {
       if (!this.units.length) return;
       this.followNarration = true;
@@ -345,6 +1034,62 @@ class PDFStoryReader {
     });
 
     on(this.readViewedPage, 'click', () => this.jumpAudioToPage(this.viewerPage));
+    on(this.toggleChaptersBtn, 'click', () => this.chapterPanel?.classList.toggle('hidden'));
+    on(this.closeChaptersBtn, 'click', () => this.chapterPanel?.classList.add('hidden'));
+    on(this.toggleSearchBtn, 'click', () => {
+      if (this.searchPanel?.classList.contains('hidden')) this.openSearch();
+      else this.closeSearch();
+    });
+    on(this.closeSearchBtn, 'click', () => this.closeSearch());
+    on(this.searchInput, 'input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.runSearch(), 250);
+    });
+    on(this.searchInput, 'keydown', event => {
+      if (event.key !== 'Enter') return;
+      event.preventDefault();
+      clearTimeout(this.searchTimer);
+      if (this.searchQuery !== this.searchInput.value) this.runSearch();
+      this.stepSearchResult(event.shiftKey ? -1 : 1);
+    });
+    [this.searchCase, this.searchWord, this.searchRegex].forEach(checkbox => on(checkbox, 'change', () => this.runSearch()));
+    on(this.searchPrevBtn, 'click', () => this.stepSearchResult(-1));
+    on(this.searchNextBtn, 'click', () => this.stepSearchResult(1));
+    on(this.searchReadBtn, 'click', () => this.readSearchResult());
+    on(this.toggleCastBtn, 'click', () => this.castPanel?.classList.toggle('hidden'));
+    on(this.editCastBtn, 'click', () => {
+      this.castPanel?.classList.remove('hidden');
+      this.castPanel?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    on(this.closeCastBtn, 'click', () => this.castPanel?.classList.add('hidden'));
+    on(this.resetCastBtn, 'click', () => this.resetCast());
+    on(this.castAddBtn, 'click', () => this.addCastMember());
+    on(this.castAddName, 'keydown', event => {
+      if (event.key === 'Enter') this.addCastMember();
+    });
+    on(this.toggleLexiconBtn, 'click', () => this.lexiconPanel?.classList.toggle('hidden'));
+    on(this.closeLexiconBtn, 'click', () => this.lexiconPanel?.classList.add('hidden'));
+    on(this.lexiconScope, 'change', () => this.renderLexicon());
+    on(this.lexiconPreviewBtn, 'click', () => this.previewLexiconRule(this.lexiconFormRule()));
+    on(this.lexiconAddBtn, 'click', () => this.addLexiconRule());
+    on(this.exportLexiconBtn, 'click', () => this.exportLexicon());
+    on(this.importLexiconBtn, 'click', () => this.lexiconFile?.click());
+    on(this.lexiconFile, 'change', () => this.importLexicon(this.lexiconFile.files?.[0]));
+    on(this.toggleFiltersBtn, 'click', () => this.filterPanel?.classList.toggle('hidden'));
+    on(this.closeFiltersBtn, 'click', () => this.filterPanel?.classList.add('hidden'));
+    on(this.applyFiltersBtn, 'click', () => this.applyFilterChanges());
+    on(this.openOcrBtn, 'click', () => this.openOcrPanel());
+    on(this.closeOcrBtn, 'click', () => this.ocrPanel?.classList.add('hidden'));
+    on(this.ocrStart, 'click', () => this.runOcr());
+    on(this.ocrCancel, 'click', () => this.cancelOcr());
+    on(this.openExportBtn, 'click', () => this.openExportPanel());
+    on(this.closeExportBtn, 'click', () => this.exportPanel?.classList.add('hidden'));
+    on(this.exportRange, 'change', () => this.updateExportRange());
+    [this.exportChapterFrom, this.exportChapterTo, this.exportFrom, this.exportTo].forEach(element => {
+      on(element, 'change', () => this.updateExportEstimate());
+    });
+    on(this.exportStart, 'click', () => this.exportAudio());
+    on(this.exportCancel, 'click', () => this.cancelExport());
 
     on(this.speedControl, 'input', () => {
       this.speechRate = Number(this.speedControl.value);
@@ -368,6 +1113,14 @@ class PDFStoryReader {
       if (this.isPlaying) this.restartCurrentSegment();
     });
 
+    on(this.expressionControl, 'input', () => {
+      this.prosodyIntensity = Number(this.expressionControl.value);
+      this.updateSettingLabels();
+      this.saveSettings();
+      if (this.isPlaying) this.restartCurrentSegment();
+      this.updateProgressMeta();
+    });
+
     on(this.fontSizeControl, 'input', () => {
       this.readerFontSize = Number(this.fontSizeControl.value);
       this.updateSettingLabels();
@@ -380,17 +1133,25 @@ class PDFStoryReader {
       if (this.isPlaying) this.restartCurrentSegment();
     });
 
+    on(this.normalizeSpeechCheckbox, 'change', () => {
+      this.normalizeSpeech = this.normalizeSpeechCheckbox.checked;
+      this.saveSettings();
+      if (this.isPlaying) this.restartCurrentSegment();
+    });
+
     on(this.preferNaturalVoicesCheckbox, 'change', () => {
       this.preferNaturalVoices = this.preferNaturalVoicesCheckbox.checked;
       this.saveSettings();
       this.populateVoiceSelects(true);
       this.renderCastList();
+      this.renderLanguageVoices();
       if (this.isPlaying) this.restartCurrentSegment();
     });
 
     on(this.voiceSelect, 'change', () => {
       this.narratorVoice = this.voices.find(voice => voice.name === this.voiceSelect.value) || this.narratorVoice;
       this.saveSettings();
+      this.renderLanguageVoices();
       if (this.isPlaying) this.restartCurrentSegment();
     });
 
@@ -400,8 +1161,47 @@ class PDFStoryReader {
       if (this.isPlaying) this.restartCurrentSegment();
     });
 
+    on(this.textLayer, 'click', event => this.handlePageTap(event));
+    on(this.documentView, 'click', event => this.handleDocumentTap(event));
+    on(this.currentText, 'click', event => this.handleTextTap(event));
     on(this.previewVoices, 'click', () => this.previewSelectedVoices());
-    on(this.sleepTimer, 'change', () => this.configureSleepTimer(Number(this.sleepTimer.value)));
+    on(this.speechEngineSelect, 'change', () => {
+      const engine = this.speechEngines.find(candidate => candidate.id === this.speechEngineSelect.value);
+      if (!engine || engine === this.speechEngine) return;
+      const wasPlaying = this.isPlaying;
+      this.pause(false);
+      this.useSpeechEngine(engine);
+      this.saveSettings();
+      if (wasPlaying) this.play();
+    });
+    on(this.applyUpdateBtn, 'click', () => this.applyUpdate());
+    on(this.openShortcutsBtn, 'click', () => this.openShortcutHelp());
+    on(this.closeShortcutsBtn, 'click', () => this.closeOverlays());
+    on(this.resetShortcutsBtn, 'click', () => this.resetShortcuts());
+    on(this.shortcutList, 'click', event => {
+      const id = event.target?.closest?.('[data-command]')?.dataset.command;
+      if (id) this.toggleShortcutCapture(id);
+    });
+    on(this.commandSearch, 'input', () => {
+      this.paletteIndex = 0;
+      this.renderCommandPalette();
+    });
+    on(this.commandSearch, 'keydown', event => this.handlePaletteKey(event));
+    on(this.commandList, 'click', event => {
+      const id = event.target?.closest?.('[data-command]')?.dataset.command;
+      if (id) this.runPaletteCommand(id);
+    });
+    [this.commandPalette, this.shortcutHelp].forEach(overlay => {
+      on(overlay, 'click', event => {
+        if (event.target === overlay) this.closeOverlays();
+      });
+    });
+    document.addEventListener('keydown', event => this.handleShortcutKey(event));
+    on(this.dismissUpdateBtn, 'click', () => this.updateBanner?.classList.add('hidden'));
+    on(this.sleepTimer, 'change', () => {
+      const value = this.sleepTimer.value;
+      this.configureSleepTimer(value === 'chapter' ? value : Number(value));
+    });
     on(this.progressBar, 'pointerdown', event => this.seekFromProgressEvent(event));
     on(this.progressBar, 'keydown', event => {
       if (!this.units.length) return;
@@ -414,36 +1214,365 @@ class PDFStoryReader {
     });
   }
 
-  initVoices() {
-    if (!this.speechSynthesis?.getVoices) {
-      this.voices = [];
-      if (this.voiceSelect) this.voiceSelect.disabled = true;
-      if (this.dialogueVoiceSelect) this.dialogueVoiceSelect.disabled = true;
-      if (this.previewVoices) this.previewVoices.disabled = true;
+  // Commands mostly press the same buttons and controls as the pointer, so they share bindEvents' handlers.
+  initCommands() {
+    const usable = element => Boolean(element) && !element.disabled && !element.closest('.hidden:not(.panel)');
+    const click = element => ({ run: () => element.click(), available: () => usable(element) });
+    const focus = element => ({ run: () => element.focus(), available: () => usable(element) });
+    const step = (input, direction, label, valueElement) => ({
+      run: () => {
+        if (direction > 0) input.stepUp();
+        else input.stepDown();
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        this.showToast(`${label} ${valueElement?.textContent || input.value}`);
+      },
+      available: () => usable(input)
+    });
+    const toggle = (checkbox, label) => ({
+      run: () => {
+        checkbox.checked = !checkbox.checked;
+        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+        this.showToast(`${label} ${checkbox.checked ? 'on' : 'off'}.`);
+      },
+      available: () => usable(checkbox)
+    });
+    const chapter = direction => ({
+      run: () => this.skipChapter(direction),
+      available: () => this.units.length > 0 && this.chapters.length > 0
+    });
+    const overlay = open => ({ run: open, available: () => true });
+
+    const commands = {
+      'play-pause': click(this.playPauseBtn),
+      'seek-back': click(this.rewindBtn),
+      'seek-forward': click(this.forwardBtn),
+      'speed-down': step(this.speedControl, -1, 'Speed', this.speedValue),
+      'speed-up': step(this.speedControl, 1, 'Speed', this.speedValue),
+      'previous-page': click(this.prevPage),
+      'next-page': click(this.nextPage),
+      'previous-chapter': chapter(-1),
+      'next-chapter': chapter(1),
+      bookmark: click(this.bookmarkBtn),
+      highlight: click(this.highlightBtn),
+      note: click(this.noteBtn),
+      'follow-reading': toggle(this.followNarrationCheckbox, 'Follow reading'),
+      'go-to-reading-page': click(this.jumpViewerToAudio),
+      'read-this-page': click(this.readViewedPage),
+      'zoom-out': step(this.pageZoomControl, -1, 'Zoom', this.pageZoomValue),
+      'zoom-in': step(this.pageZoomControl, 1, 'Zoom', this.pageZoomValue),
+      chapters: click(this.toggleChaptersBtn),
+      notes: click(this.toggleNotesBtn),
+      search: { run: () => this.openSearch(), available: () => usable(this.toggleSearchBtn) },
+      cast: click(this.toggleCastBtn),
+      'change-speaker': click(this.speakerBtn),
+      pronunciation: click(this.toggleLexiconBtn),
+      'skipped-text': click(this.toggleFiltersBtn),
+      'recognize-text': click(this.openOcrBtn),
+      'export-audio': click(this.openExportBtn),
+      'export-notes-markdown': click(this.exportNotesMarkdown),
+      'export-notes-json': click(this.exportNotesJson),
+      'export-pronunciation': click(this.exportLexiconBtn),
+      'import-pronunciation': click(this.importLexiconBtn),
+      'pitch-down': step(this.pitchControl, -1, 'Pitch', this.pitchValue),
+      'pitch-up': step(this.pitchControl, 1, 'Pitch', this.pitchValue),
+      'volume-down': step(this.volumeControl, -1, 'Volume', this.volumeValue),
+      'volume-up': step(this.volumeControl, 1, 'Volume', this.volumeValue),
+      'expression-down': step(this.expressionControl, -1, 'Expression', this.expressionValue),
+      'expression-up': step(this.expressionControl, 1, 'Expression', this.expressionValue),
+      'text-smaller': step(this.fontSizeControl, -1, 'Text size', this.fontSizeValue),
+      'text-larger': step(this.fontSizeControl, 1, 'Text size', this.fontSizeValue),
+      'character-voices': toggle(this.smartVoicesCheckbox, 'Character voices'),
+      'read-numbers': toggle(this.normalizeSpeechCheckbox, 'Read numbers & abbreviations'),
+      'prefer-natural': toggle(this.preferNaturalVoicesCheckbox, 'Prefer natural voices'),
+      'show-layout': toggle(this.showLayoutCheckbox, 'Show layout'),
+      'preview-voices': click(this.previewVoices),
+      'choose-engine': focus(this.speechEngineSelect),
+      'choose-narrator': focus(this.voiceSelect),
+      'choose-dialogue': focus(this.dialogueVoiceSelect),
+      'sleep-timer': focus(this.sleepTimer),
+      'change-book': click(this.changeBook),
+      'choose-book': click(this.chooseFileBtn),
+      'clear-library': click(this.clearLibraryBtn),
+      'apply-update': click(this.applyUpdateBtn),
+      shortcuts: overlay(() => (this.shortcutHelp?.classList.contains('hidden') ? this.openShortcutHelp() : this.closeOverlays())),
+      'command-palette': overlay(() => (this.commandPalette?.classList.contains('hidden') ? this.openCommandPalette() : this.closeOverlays()))
+    };
+
+    READER_COMMANDS.forEach(command => {
+      if (commands[command.id]) this.commands.set(command.id, commands[command.id]);
+    });
+  }
+
+  runCommand(id) {
+    const command = this.commands.get(id);
+    if (!command?.available()) return false;
+    command.run();
+    return true;
+  }
+
+  shortcutFor(id) {
+    if (Object.prototype.hasOwnProperty.call(this.shortcuts, id)) return this.shortcuts[id];
+    return READER_COMMANDS.find(command => command.id === id)?.keys || '';
+  }
+
+  // A key can only belong to one command, so taking it removes it from the command that had it.
+  setShortcut(id, keys) {
+    if (keys) {
+      const previous = READER_COMMANDS.find(command => command.id !== id && this.shortcutFor(command.id) === keys);
+      if (previous) {
+        this.shortcuts[previous.id] = '';
+        this.showToast(`${keys} no longer runs “${previous.label}”.`);
+      }
+    }
+
+    const fallback = READER_COMMANDS.find(command => command.id === id)?.keys || '';
+    if (keys === fallback) delete this.shortcuts[id];
+    else this.shortcuts[id] = keys;
+    this.saveSettings();
+  }
+
+  resetShortcuts() {
+    this.shortcuts = {};
+    this.capturingShortcut = null;
+    this.saveSettings();
+    this.renderShortcutList();
+    this.showToast('Keyboard shortcuts reset.');
+  }
+
+  handleShortcutKey(event) {
+    if (this.capturingShortcut) {
+      this.captureShortcut(event);
       return;
     }
 
-    const refresh = () => {
-      try {
-        const voices = this.speechSynthesis.getVoices() || [];
-        if (!voices.length) return;
-        this.voices = voices;
-        this.populateVoiceSelects(false);
-        this.renderCastList();
-      } catch (error) {
-        console.warn('Could not load voices:', error);
+    const overlayOpen = this.isOverlayOpen();
+    if (event.key === 'Escape') {
+      if (overlayOpen) {
+        event.preventDefault();
+        this.closeOverlays();
       }
-    };
+      return;
+    }
+    if (event.defaultPrevented || event.isComposing) return;
+
+    const shortcut = shortcutFromEvent(event);
+    const command = shortcut && READER_COMMANDS.find(candidate => this.shortcutFor(candidate.id) === shortcut);
+    if (!command) return;
+    if (event.repeat && !command.repeat) return;
+    // While the palette or the shortcut list is open, only their own shortcuts (to close them) still work.
+    if (overlayOpen && command.id !== 'shortcuts' && command.id !== 'command-palette') return;
+    if (isTypingTarget(event.target) && command.id !== 'command-palette') return;
+    if ((shortcut === 'Space' || shortcut === 'Enter') && event.target?.closest?.('button, a[href], input, [role="button"], [role="slider"]')) return;
+
+    if (this.runCommand(command.id)) event.preventDefault();
+  }
+
+  captureShortcut(event) {
+    const shortcut = shortcutFromEvent(event);
+    if (!shortcut) return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    const id = this.capturingShortcut;
+    this.capturingShortcut = null;
+    // Tab cancels like Escape instead of becoming a shortcut, so focus can always move on.
+    if (shortcut === 'Backspace' || shortcut === 'Delete') this.setShortcut(id, '');
+    else if (!['Escape', 'Tab', 'Shift+Tab'].includes(shortcut)) this.setShortcut(id, shortcut);
+    this.renderShortcutList();
+    // Refocusing after the key is released keeps Space or Enter from pressing Change again.
+    document.addEventListener('keyup', () => this.shortcutList?.querySelector(`[data-command="${id}"]`)?.focus(), { once: true });
+  }
+
+  toggleShortcutCapture(id) {
+    this.capturingShortcut = this.capturingShortcut === id ? null : id;
+    this.renderShortcutList();
+    this.shortcutList?.querySelector(`[data-command="${id}"]`)?.focus();
+  }
+
+  isOverlayOpen() {
+    return [this.commandPalette, this.shortcutHelp].some(overlay => overlay && !overlay.classList.contains('hidden'));
+  }
+
+  openOverlay(overlay) {
+    if (!overlay) return;
+    if (!this.isOverlayOpen()) this.overlayReturnFocus = document.activeElement;
+    [this.commandPalette, this.shortcutHelp].forEach(candidate => candidate?.classList.toggle('hidden', candidate !== overlay));
+  }
+
+  closeOverlays() {
+    this.capturingShortcut = null;
+    this.commandPalette?.classList.add('hidden');
+    this.shortcutHelp?.classList.add('hidden');
+    const returnFocus = this.overlayReturnFocus;
+    this.overlayReturnFocus = null;
+    if (returnFocus?.isConnected && typeof returnFocus.focus === 'function') returnFocus.focus();
+  }
+
+  openCommandPalette() {
+    this.openOverlay(this.commandPalette);
+    if (this.commandSearch) this.commandSearch.value = '';
+    this.paletteIndex = 0;
+    this.renderCommandPalette();
+    this.commandSearch?.focus();
+  }
+
+  // Only commands that can run right now are listed; every word typed must appear in the label.
+  paletteCommands() {
+    const words = (this.commandSearch?.value || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return READER_COMMANDS.filter(command => {
+      if (command.id === 'command-palette' || !this.commands.get(command.id)?.available()) return false;
+      const label = command.label.toLowerCase();
+      return words.every(word => label.includes(word));
+    });
+  }
+
+  renderCommandPalette() {
+    if (!this.commandList) return;
+    const commands = this.paletteCommands();
+    this.paletteIndex = clamp(this.paletteIndex, 0, Math.max(0, commands.length - 1));
+    this.commandList.innerHTML = '';
+
+    if (!commands.length) {
+      const empty = document.createElement('li');
+      empty.className = 'command-empty';
+      empty.textContent = 'No matching commands.';
+      this.commandList.appendChild(empty);
+      this.commandSearch?.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    commands.forEach((command, index) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.id = `command-${command.id}`;
+      button.className = `command-item${index === this.paletteIndex ? ' active' : ''}`;
+      button.dataset.command = command.id;
+      button.tabIndex = -1;
+      button.setAttribute('role', 'option');
+      button.setAttribute('aria-selected', String(index === this.paletteIndex));
+      const label = document.createElement('span');
+      label.textContent = command.label;
+      button.appendChild(label);
+      const keys = this.shortcutFor(command.id);
+      if (keys) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = keys;
+        button.appendChild(kbd);
+      }
+      item.appendChild(button);
+      this.commandList.appendChild(item);
+    });
+    this.commandSearch?.setAttribute('aria-activedescendant', `command-${commands[this.paletteIndex].id}`);
+    this.commandList.querySelector('.command-item.active')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  handlePaletteKey(event) {
+    const commands = this.paletteCommands();
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (!commands.length) return;
+      this.paletteIndex = (this.paletteIndex + (event.key === 'ArrowDown' ? 1 : -1) + commands.length) % commands.length;
+      this.renderCommandPalette();
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      if (commands[this.paletteIndex]) this.runPaletteCommand(commands[this.paletteIndex].id);
+    }
+  }
+
+  // The palette closes first so focus is back on the page before the command moves it.
+  runPaletteCommand(id) {
+    this.closeOverlays();
+    this.runCommand(id);
+  }
+
+  openShortcutHelp() {
+    this.openOverlay(this.shortcutHelp);
+    this.capturingShortcut = null;
+    this.renderShortcutList();
+    this.closeShortcutsBtn?.focus();
+  }
+
+  renderShortcutList() {
+    if (!this.shortcutList) return;
+    const capturing = READER_COMMANDS.find(command => command.id === this.capturingShortcut);
+    if (this.shortcutHint) {
+      this.shortcutHint.textContent = capturing
+        ? `Press the new key for “${capturing.label}”. Backspace removes it, Escape cancels.`
+        : 'Shortcuts work anywhere except while typing. Press Change, then the new key.';
+    }
+
+    this.shortcutList.innerHTML = '';
+    READER_COMMANDS.forEach(command => {
+      const item = document.createElement('li');
+      item.className = `command-item${command === capturing ? ' capturing' : ''}`;
+      const label = document.createElement('span');
+      label.textContent = command.label;
+      const keys = document.createElement('span');
+      keys.className = 'shortcut-keys';
+      const kbd = document.createElement('kbd');
+      kbd.textContent = command === capturing ? 'Press a key…' : this.shortcutFor(command.id) || '—';
+      const change = document.createElement('button');
+      change.type = 'button';
+      change.className = 'mini-btn';
+      change.dataset.command = command.id;
+      change.textContent = command === capturing ? 'Cancel' : 'Change';
+      change.setAttribute('aria-label', `${change.textContent} shortcut for ${command.label}`);
+      keys.append(kbd, change);
+      item.append(label, keys);
+      this.shortcutList.appendChild(item);
+    });
+  }
+
+  initVoices() {
+    if (this.speechEngineSelect) {
+      this.speechEngineSelect.innerHTML = '';
+      this.speechEngines.forEach(engine => {
+        const option = document.createElement('option');
+        option.value = engine.id;
+        option.textContent = engine.label;
+        option.disabled = !engine.available;
+        this.speechEngineSelect.appendChild(option);
+      });
+    }
+
+    const saved = this.speechEngines.find(engine => engine.id === this.settings.speechEngine && engine.available);
+    this.useSpeechEngine(saved || this.speechEngines.find(engine => engine.available) || this.speechEngines[0]);
+  }
+
+  // Voices, the cast and the language voices are rebuilt from the engine's own voice list.
+  useSpeechEngine(engine) {
+    const previous = this.speechEngine;
+    if (previous) {
+      previous.cancel();
+      previous.onvoiceschanged = null;
+      previous.onstatus = null;
+    }
 
-    refresh();
-    if ('onvoiceschanged' in this.speechSynthesis) this.speechSynthesis.onvoiceschanged = refresh;
+    this.speechEngine = engine;
+    this.voices = [];
+    if (this.speechEngineSelect) this.speechEngineSelect.value = engine.id;
+    if (this.pitchControl) this.pitchControl.disabled = !engine.supportsPitch;
+    [this.voiceSelect, this.dialogueVoiceSelect, this.previewVoices].forEach(element => {
+      if (element) element.disabled = !engine.available;
+    });
+    engine.onstatus = message => {
+      if (this.speechEngineStatus) this.speechEngineStatus.textContent = message || engine.description;
+    };
+    engine.onstatus('');
+    if (!engine.available) return;
 
-    let attempts = 0;
-    const timer = setInterval(() => {
-      attempts += 1;
-      refresh();
-      if (this.voices.length || attempts > 20) clearInterval(timer);
-    }, 250);
+    engine.onvoiceschanged = voices => {
+      this.voices = voices;
+      this.castProfiles.forEach((profile, speaker) => {
+        if (!voices.some(voice => voice.name === profile.voice)) this.castProfiles.delete(speaker);
+      });
+      this.populateVoiceSelects(false);
+      this.assignDefaultCharacterVoices();
+      this.renderCastList();
+      this.renderLanguageVoices();
+    };
+    engine.init();
   }
 
   voiceScore(voice) {
@@ -456,13 +1585,86 @@ class PDFStoryReader {
     return score;
   }
 
+  // The book's main language (its /Lang, else the most common detected language), then the device language.
+  primaryLanguage() {
+    return baseLanguage(this.bookLanguage || this.bookLanguages[0]?.lang || navigator.language || 'en') || 'en';
+  }
+
   getSortedVoices() {
-    const english = this.voices.filter(voice => voice.lang.toLowerCase().startsWith('en'));
-    const others = this.voices.filter(voice => !voice.lang.toLowerCase().startsWith('en'));
+    const primary = this.primaryLanguage();
+    const matching = this.voices.filter(voice => baseLanguage(voice.lang) === primary);
+    const others = this.voices.filter(voice => baseLanguage(voice.lang) !== primary);
     const sorter = (a, b) => this.preferNaturalVoices
       ? this.voiceScore(b) - this.voiceScore(a) || a.name.localeCompare(b.name)
       : a.name.localeCompare(b.name);
-    return [...english.sort(sorter), ...others.sort(sorter)];
+    return [...matching.sort(sorter), ...others.sort(sorter)];
+  }
+
+  voiceForLanguage(lang) {
+    const base = baseLanguage(lang);
+    if (!base) return null;
+    const voices = this.getSortedVoices().filter(voice => baseLanguage(voice.lang) === base);
+    return voices.find(voice => voice.name === this.languageVoices[base]) || voices[0] || null;
+  }
+
+  updateBookLanguages() {
+    const counts = new Map();
+    this.units.forEach(unit => {
+      if (unit.lang) counts.set(unit.lang, (counts.get(unit.lang) || 0) + unit.words);
+    });
+    this.bookLanguages = Array.from(counts, ([lang, words]) => ({ lang, words })).sort((a, b) => b.words - a.words);
+    this.renderLanguageVoices();
+  }
+
+  renderLanguageVoices() {
+    if (!this.languageVoiceList || !this.languageVoicesSection) return;
+    const total = this.bookLanguages.reduce((sum, entry) => sum + entry.words, 0);
+    // Stray detections (a quoted phrase, a name) are not worth a voice setting.
+    const languages = this.bookLanguages.filter(entry => entry.words >= Math.min(200, total * 0.02));
+    const narratorLanguage = baseLanguage(this.narratorVoice?.lang);
+    const visible = languages.length > 1 || languages.some(entry => entry.lang !== narratorLanguage);
+    this.languageVoicesSection.classList.toggle('hidden', !visible);
+    this.languageVoiceList.innerHTML = '';
+    if (!visible) return;
+
+    let names = null;
+    try {
+      names = new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' });
+    } catch {
+      // Language names are optional; codes are shown instead.
+    }
+
+    languages.forEach(({ lang }) => {
+      const label = document.createElement('label');
+      label.className = 'select-row';
+      const name = document.createElement('span');
+      name.textContent = names?.of(lang) || lang;
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', `Voice for ${name.textContent}`);
+      const voices = this.getSortedVoices().filter(voice => baseLanguage(voice.lang) === lang);
+
+      const automatic = document.createElement('option');
+      automatic.value = '';
+      automatic.textContent = voices.length ? 'Automatic' : 'No voice on this device';
+      select.appendChild(automatic);
+      voices.forEach(voice => {
+        const option = document.createElement('option');
+        option.value = voice.name;
+        option.textContent = `${voice.name} (${voice.lang})`;
+        select.appendChild(option);
+      });
+      select.disabled = !voices.length;
+      select.value = voices.some(voice => voice.name === this.languageVoices[lang]) ? this.languageVoices[lang] : '';
+      select.addEventListener('change', () => {
+        if (select.value) this.languageVoices[lang] = select.value;
+        else delete this.languageVoices[lang];
+        this.saveSettings();
+        if (this.isPlaying) this.restartCurrentSegment();
+      });
+
+      label.append(name, select);
+      this.languageVoiceList.appendChild(label);
+    });
   }
 
   populateVoiceSelects(preserveCurrent = true) {
@@ -507,7 +1709,7 @@ class PDFStoryReader {
 
   handleLoadError(error) {
     console.error(error);
-    let message = error?.message || 'Could not open that PDF.';
+    let message = error?.message || 'Could not open that book.';
     if (error?.name === 'PasswordException') message = 'This PDF is password-protected.';
     this.setUploadStatus(message);
     this.showToast(message);
@@ -516,68 +1718,152 @@ class PDFStoryReader {
   async ensurePdfJs() {
     if (typeof pdfjsLib !== 'undefined') return pdfjsLib;
 
-    let lastError = null;
-    for (const source of PDFJS_SOURCES) {
-      try {
-        this.setUploadStatus('Loading PDF support…');
-        await loadExternalScript(source.lib);
-        if (typeof pdfjsLib !== 'undefined') {
-          pdfjsLib.GlobalWorkerOptions.workerSrc = source.worker;
-          return pdfjsLib;
-        }
-      } catch (error) {
-        lastError = error;
-      }
-    }
-
-    throw lastError || new Error('PDF support could not load.');
+    this.setUploadStatus('Loading PDF support…');
+    await loadExternalScript(PDFJS_ASSETS.lib);
+    if (typeof pdfjsLib === 'undefined') throw new Error('PDF support could not load.');
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_ASSETS.worker;
+    return pdfjsLib;
   }
 
-  async processFile(file) {
-    if (!file) return;
+  // The service worker keeps the app available offline. A new version waits until the listener chooses to reload,
+  // so an update never interrupts narration.
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
 
-    const name = String(file.name || 'book.pdf');
-    const isPdf = file.type === 'application/pdf' || name.toLowerCase().endsWith('.pdf');
-    if (!isPdf) {
-      this.setUploadStatus('That file is not a PDF.');
-      this.showToast('Please choose a PDF file.');
-      return;
-    }
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.updateRequested) window.location.reload();
+    });
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).then(registration => {
+      if (registration.waiting && navigator.serviceWorker.controller) this.offerUpdate(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state !== 'installed') return;
+          if (navigator.serviceWorker.controller) this.offerUpdate(worker);
+          else this.showToast('The reader now works offline.');
+        });
+      });
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') registration.update().catch(() => {});
+      });
+    }).catch(error => {
+      console.warn('Offline support unavailable:', error);
+    });
+  }
+
+  offerUpdate(worker) {
+    if (!this.updateBanner) return;
+    this.waitingWorker = worker;
+    this.updateBanner.classList.remove('hidden');
+  }
+
+  applyUpdate() {
+    if (!this.waitingWorker) return;
+    this.saveBookPosition();
+    this.updateRequested = true;
+    this.waitingWorker.postMessage({ type: 'skip-waiting' });
+  }
+
+  // Books opened from the OS once the app is installed: the file handler ("Open with") and the share sheet.
+  initLaunchHandlers() {
+    if ('launchQueue' in window) {
+      window.launchQueue.setConsumer(async params => {
+        const handle = params.files?.[0];
+        if (handle) await this.processFile(await handle.getFile());
+      });
+    }
+    if (new URLSearchParams(location.search).has('shared')) this.openSharedFile();
+  }
+
+  async openSharedFile() {
+    history.replaceState(null, '', location.pathname);
+    if (typeof caches === 'undefined') return;
+    try {
+      const cache = await caches.open(SHARE_CACHE_NAME);
+      const response = await cache.match(SHARED_FILE_URL);
+      if (!response) return;
+      await cache.delete(SHARED_FILE_URL);
+      const blob = await response.blob();
+      const name = decodeURIComponent(response.headers.get('X-File-Name') || 'Shared book.pdf');
+      const lastModified = Number(response.headers.get('X-Last-Modified')) || Date.now();
+      await this.processFile(new File([blob], name, { type: blob.type, lastModified }));
+    } catch (error) {
+      console.warn('Could not open the shared file:', error);
+      this.showToast('The shared book could not be opened.');
+    }
+  }
+
+  async processFile(file) {
+    if (!file) return;
+
+    if (!documentFormat(file)) {
+      this.setUploadStatus('That file is not a PDF, EPUB, DOCX, text or Markdown file.');
+      this.showToast('Please choose a PDF, EPUB, DOCX, TXT or Markdown file.');
+      return;
+    }
 
     if (file.size > 100 * 1024 * 1024) {
-      this.setUploadStatus('That PDF is larger than 100 MB.');
-      this.showToast('This reader supports PDFs up to 100 MB.');
+      this.setUploadStatus('That file is larger than 100 MB.');
+      this.showToast('This reader supports books up to 100 MB.');
       return;
     }
 
-    await this.loadPDF(file);
+    await this.loadDocument(file);
   }
 
-  async loadPDF(file) {
+  async loadDocument(file, saved = null) {
     this.showLoading(true, 'Opening your book', `Preparing ${file.name}…`, 2);
     this.setUploadStatus(`Opening ${file.name}…`);
 
     try {
-      const pdfjs = await this.ensurePdfJs();
       this.pause(false);
+      this.stopExtraction();
+      this.cancelOcr(false);
       this.file = file;
       this.fileKey = `${file.name}|${file.size}|${file.lastModified}`;
-
-      this.showLoading(true, 'Opening your book', 'Reading the PDF file…', 4);
-      const arrayBuffer = await file.arrayBuffer();
-      this.pdfDoc = await pdfjs.getDocument({ data: new Uint8Array(arrayBuffer) }).promise;
-
-      if (this.pageCount) this.pageCount.textContent = `/ ${this.pdfDoc.numPages}`;
-      if (this.pageNumber) this.pageNumber.max = String(this.pdfDoc.numPages);
-      if (this.bookName) this.bookName.textContent = file.name.replace(/\.pdf$/i, '');
-      if (this.bookPages) this.bookPages.textContent = `${this.pdfDoc.numPages.toLocaleString()} pages`;
-
-      await this.extractBook();
+      this.filterKeep = this.readFilterKeep();
+      this.annotations = this.readAnnotations();
+      this.castEdits = this.readCastEdits();
+      this.loadLexicon();
+
+      this.showLoading(true, 'Opening your book', 'Reading the file…', 4);
+      const source = await openDocumentSource(file, () => this.ensurePdfJs());
+      this.source?.close();
+      this.source = source;
+      this.pdfDoc = source.pdf || null;
+      this.updateViewerMode();
+
+      const total = source.pageCount;
+      if (this.pageCount) this.pageCount.textContent = `/ ${total}`;
+      if (this.pageNumber) this.pageNumber.max = String(total);
+      if (this.bookName) this.bookName.textContent = source.title || file.name.replace(/\.[^.]+$/, '');
+      if (this.bookPages) this.bookPages.textContent = `${total.toLocaleString()} ${this.pageLabel().toLowerCase()}s`;
+      this.outline = await source.loadOutline();
+      this.bookLanguage = await source.loadLanguage();
+
+      const cached = await this.loadTextCache(saved?.text);
+      let extraction = null;
+      if (cached) {
+        this.showLoading(true, 'Opening your book', 'Loading saved text…', 82);
+        this.pageTexts = cached.pageTexts || [];
+        this.units = cached.units;
+        this.ocrPages = cached.ocrPages || {};
+        this.filteredLines = new Map((cached.filteredLines || []).map(entry => [entry.key, entry]));
+      } else {
+        const savedIndex = this.readSavedPosition(saved?.book).unitIndex;
+        extraction = this.startExtraction(() => this.units.length > savedIndex);
+        await extraction.ready;
+      }
+      this.applyCastEdits();
       this.detectedSpeakers = this.collectDetectedSpeakers();
+      this.updateBookLanguages();
+      this.populateVoiceSelects(true);
+      this.buildChapters();
       this.assignDefaultCharacterVoices();
       this.renderCastList();
+      this.renderCastEditor();
       this.updateBookStats();
-      this.restoreBookPosition();
+      this.restoreBookPosition(saved?.book);
       this.viewerPage = this.units[this.currentUnitIndex]?.page || 1;
       this.followNarration = true;
       if (this.followNarrationCheckbox) this.followNarrationCheckbox.checked = true;
@@ -591,16 +1877,19 @@ class PDFStoryReader {
         this.updateDisplay();
         this.setUploadStatus('Book ready.');
         this.showToast('Book ready. Press Play.');
-      } else {
-        if (this.currentLocation) this.currentLocation.textContent = `Page ${this.viewerPage}`;
-        if (this.currentText) {
-          this.currentText.textContent = 'This PDF opened, but it does not contain selectable text to narrate. It may be a scanned-image PDF.';
-        }
-        this.setUploadStatus('PDF opened, but no selectable text was found.');
-        this.showToast('PDF opened. No selectable text was found for narration.');
       }
 
       this.updateMediaSessionMetadata();
+      this.updateOcrAvailability();
+      this.renderFilteredLines();
+      this.renderAnnotations();
+      if (extraction) {
+        extraction.done
+          .then(completed => completed && this.completeExtraction())
+          .catch(error => this.handleExtractionError(error));
+      } else {
+        await this.saveToLibrary(true);
+      }
     } catch (error) {
       this.handleLoadError(error);
     } finally {
@@ -608,340 +1897,2695 @@ class PDFStoryReader {
     }
   }
 
-  async extractBook() {
+  async refreshLibrary() {
+    if (!this.librarySection || !this.libraryList) return;
+    if (!this.library.available) {
+      this.librarySection.classList.add('hidden');
+      return;
+    }
+
+    try {
+      this.libraryBooks = await this.library.listBooks();
+    } catch (error) {
+      console.warn('Could not read the library:', error);
+      this.libraryBooks = [];
+    }
+
+    this.renderLibrary();
+    this.updateLibraryUsage();
+  }
+
+  renderLibrary() {
+    if (!this.librarySection || !this.libraryList) return;
+    this.librarySection.classList.toggle('hidden', !this.libraryBooks.length);
+    this.libraryList.innerHTML = '';
+
+    this.libraryBooks.forEach(book => {
+      const progress = clamp(Math.round((book.progress || 0) * 100), 0, 100);
+      const card = document.createElement('article');
+      card.className = 'library-book';
+
+      const cover = document.createElement('div');
+      cover.className = 'library-cover';
+      if (book.cover) {
+        const image = document.createElement('img');
+        image.src = book.cover;
+        image.alt = '';
+        cover.appendChild(image);
+      } else {
+        cover.textContent = documentFormatLabel(book.format);
+      }
+
+      const info = document.createElement('div');
+      info.className = 'library-info';
+      const title = document.createElement('strong');
+      title.textContent = book.title;
+      title.title = book.title;
+      const meta = document.createElement('span');
+      const unitName = book.format && book.format !== 'pdf' ? 'sections' : 'pages';
+      meta.textContent = `${Number(book.pageCount || 0).toLocaleString()} ${unitName} • ${progress}% read`;
+      const bar = document.createElement('div');
+      bar.className = 'library-progress';
+      bar.setAttribute('role', 'progressbar');
+      bar.setAttribute('aria-valuemin', '0');
+      bar.setAttribute('aria-valuemax', '100');
+      bar.setAttribute('aria-valuenow', String(progress));
+      bar.setAttribute('aria-label', `${book.title} progress`);
+      const fill = document.createElement('div');
+      fill.style.width = `${progress}%`;
+      bar.appendChild(fill);
+      info.append(title, meta, bar);
+
+      const actions = document.createElement('div');
+      actions.className = 'library-actions';
+      const resume = document.createElement('button');
+      resume.type = 'button';
+      resume.className = 'mini-btn library-continue';
+      resume.textContent = progress ? 'Continue' : 'Start';
+      resume.addEventListener('click', () => this.openLibraryBook(book.fileKey));
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'mini-btn';
+      remove.textContent = 'Delete';
+      remove.setAttribute('aria-label', `Delete ${book.title} from this device`);
+      remove.addEventListener('click', () => this.deleteLibraryBook(book.fileKey));
+      actions.append(resume, remove);
+
+      card.append(cover, info, actions);
+      this.libraryList.appendChild(card);
+    });
+  }
+
+  async updateLibraryUsage() {
+    if (!this.libraryUsage) return;
+    const count = this.libraryBooks.length;
+    let text = `${count} book${count === 1 ? '' : 's'} saved on this device`;
+
+    try {
+      const estimate = await navigator.storage?.estimate?.();
+      if (estimate?.usage) text += ` • ${(estimate.usage / (1024 * 1024)).toFixed(1)} MB used`;
+    } catch {
+      // Storage estimates are optional.
+    }
+
+    this.libraryUsage.textContent = text;
+  }
+
+  async openLibraryBook(fileKey) {
+    this.showLoading(true, 'Opening your book', 'Loading from your library…', 2);
+
+    try {
+      const [book, text, stored] = await Promise.all([
+        this.library.getBook(fileKey),
+        this.library.getText(fileKey),
+        this.library.getFile(fileKey)
+      ]);
+      if (!book || !stored?.data) throw new Error('That book is no longer saved on this device.');
+
+      const file = new File([stored.data], book.name, {
+        type: book.type || 'application/pdf',
+        lastModified: book.lastModified
+      });
+      await this.loadDocument(file, { book, text });
+    } catch (error) {
+      this.showLoading(false);
+      this.handleLoadError(error);
+      this.refreshLibrary();
+    }
+  }
+
+  async loadTextCache(candidate = null) {
+    if (!this.library.available || !this.fileKey) return null;
+    let text = candidate;
+    if (!text) {
+      try {
+        text = await this.library.getText(this.fileKey);
+      } catch {
+        text = null;
+      }
+    }
+    return text?.version === TEXT_CACHE_VERSION && text.units?.length ? text : null;
+  }
+
+  buildTextCacheRecord() {
+    return {
+      fileKey: this.fileKey,
+      version: TEXT_CACHE_VERSION,
+      pageTexts: this.pageTexts,
+      units: this.units,
+      ocrPages: this.ocrPages,
+      filteredLines: Array.from(this.filteredLines.values()),
+      createdAt: Date.now()
+    };
+  }
+
+  async saveToLibrary(textCached = false) {
+    if (!this.library.available || !this.fileKey || !this.file) return;
+    const now = Date.now();
+    const position = {
+      unitIndex: this.currentUnitIndex,
+      progress: this.units.length ? this.currentUnitIndex / this.units.length : 0,
+      openedAt: now
+    };
+    this.libraryUnitIndex = this.currentUnitIndex;
+
+    try {
+      const existing = await this.library.getBook(this.fileKey);
+      if (existing) {
+        await this.library.updateBook(this.fileKey, position);
+        if (!textCached) await this.library.saveText(this.buildTextCacheRecord());
+        return;
+      }
+
+      const [data, cover] = await Promise.all([this.file.arrayBuffer(), this.renderCoverThumbnail()]);
+      const book = {
+        fileKey: this.fileKey,
+        title: this.bookName?.textContent || this.file.name,
+        name: this.file.name,
+        type: this.file.type || 'application/pdf',
+        format: this.source?.kind || 'pdf',
+        size: this.file.size,
+        lastModified: this.file.lastModified,
+        pageCount: this.source?.pageCount || 0,
+        words: this.units.reduce((sum, unit) => sum + unit.words, 0),
+        cover,
+        addedAt: now,
+        ...position
+      };
+
+      await this.library.saveBook(book, this.buildTextCacheRecord(), { fileKey: this.fileKey, data });
+      navigator.storage?.persist?.().catch(() => {});
+    } catch (error) {
+      console.warn('Could not save the book to the library:', error);
+      if (error?.name === 'QuotaExceededError') this.showToast('Not enough storage to keep this book on your device.');
+    }
+  }
+
+  async renderCoverThumbnail() {
+    if (!this.source) return '';
+    try {
+      const canvas = document.createElement('canvas');
+      if (this.pdfDoc) {
+        const page = await this.pdfDoc.getPage(1);
+        await this.startPageRender(page, canvas, 160 / page.getViewport({ scale: 1 }).width).promise;
+      } else {
+        // EPUBs may name a cover image; other text formats get the format label instead.
+        const blob = await this.source.loadCover();
+        if (!blob || typeof createImageBitmap !== 'function') return '';
+        const image = await createImageBitmap(blob);
+        canvas.width = 160;
+        canvas.height = Math.round(160 * image.height / image.width);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        image.close?.();
+      }
+      return canvas.toDataURL('image/jpeg', 0.72);
+    } catch {
+      return '';
+    }
+  }
+
+  async deleteLibraryBook(fileKey) {
+    const book = this.libraryBooks.find(item => item.fileKey === fileKey);
+    if (!window.confirm(`Delete “${book?.title || 'this book'}” from this device?`)) return;
+
+    try {
+      await this.library.removeBook(fileKey);
+      localStorage.removeItem(POSITION_KEY_PREFIX + fileKey);
+      localStorage.removeItem(FILTER_KEY_PREFIX + fileKey);
+      localStorage.removeItem(ANNOTATIONS_KEY_PREFIX + fileKey);
+      localStorage.removeItem(CAST_KEY_PREFIX + fileKey);
+      localStorage.removeItem(LEXICON_KEY_PREFIX + fileKey);
+      this.showToast('Book deleted from this device.');
+    } catch (error) {
+      console.warn('Could not delete the book:', error);
+      this.showToast('Could not delete that book.');
+    }
+    this.refreshLibrary();
+  }
+
+  async clearLibrary() {
+    if (!this.libraryBooks.length) return;
+    if (!window.confirm('Delete every saved book, reading position and note from this device?')) return;
+
+    try {
+      await this.library.clear();
+      this.libraryBooks.forEach(book => {
+        localStorage.removeItem(POSITION_KEY_PREFIX + book.fileKey);
+        localStorage.removeItem(FILTER_KEY_PREFIX + book.fileKey);
+        localStorage.removeItem(ANNOTATIONS_KEY_PREFIX + book.fileKey);
+        localStorage.removeItem(CAST_KEY_PREFIX + book.fileKey);
+        localStorage.removeItem(LEXICON_KEY_PREFIX + book.fileKey);
+      });
+      this.showToast('Library storage cleared.');
+    } catch (error) {
+      console.warn('Could not clear the library:', error);
+      this.showToast('Could not clear library storage.');
+    }
+    this.refreshLibrary();
+  }
+
+  startExtraction(isTargetReached = () => this.units.length > 0) {
+    this.stopExtraction();
+    const token = this.extractionToken;
+    this.extracting = true;
+    this.extractedPages = 0;
     this.pageTexts = [];
     this.units = [];
-    const total = this.pdfDoc.numPages;
-    const context = { recentSpeakers: [], lastDialogueSpeaker: null };
+    this.ocrPages = {};
+    this.filteredLines = new Map();
+
+    let isReady = false;
+    let markReady;
+    let failReady;
+    const ready = new Promise((resolve, reject) => {
+      markReady = resolve;
+      failReady = reject;
+    });
 
-    for (let pageNumber = 1; pageNumber <= total; pageNumber += 1) {
-      const percent = 5 + Math.round((pageNumber / total) * 77);
-      this.showLoading(true, 'Reading your book', `Extracting page ${pageNumber} of ${total}…`, percent);
-      const page = await this.pdfDoc.getPage(pageNumber);
-      const textContent = await page.getTextContent();
-      const pageText = this.buildPageText(textContent.items);
-      this.pageTexts.push(pageText);
-      this.buildUnitsForPage(pageText, pageNumber, context);
-      if (pageNumber % 8 === 0) await new Promise(resolve => setTimeout(resolve, 0));
-    }
+    const onPage = (pageNumber, total) => {
+      if (!isReady && isTargetReached()) {
+        isReady = true;
+        markReady();
+      }
+
+      if (!isReady) {
+        const percent = 5 + Math.round((pageNumber / total) * 77);
+        this.showLoading(true, 'Reading your book', `Extracting page ${pageNumber} of ${total}…`, percent);
+      } else {
+        this.updateExtractionStatus();
+        if (pageNumber % 10 === 0) this.updateBookStats();
+      }
+    };
 
-    this.showLoading(true, 'Finishing', 'Preparing voices and pages…', 90);
-    await new Promise(resolve => setTimeout(resolve, 40));
+    const done = this.extractBook(token, onPage).finally(() => {
+      if (token === this.extractionToken) {
+        this.extracting = false;
+        this.updateExtractionStatus();
+      }
+    });
+    done.then(markReady, failReady);
+    return { ready, done };
   }
 
-  buildPageText(items) {
-    if (!items?.length) return '';
-    let result = '';
-    let previous = null;
+  stopExtraction() {
+    this.extractionToken += 1;
+    this.extracting = false;
+    this.pageProcessor?.close();
+    this.pageProcessor = null;
+    this.updateExtractionStatus();
+  }
 
-    for (const item of items) {
-      const text = item.str || '';
-      if (!text) continue;
-      const x = item.transform?.[4] ?? 0;
-      const y = item.transform?.[5] ?? 0;
+  async extractBook(token, onPage) {
+    const total = this.source.pageCount;
+    const processor = new PageTextProcessor({ keepFiltered: Array.from(this.filterKeep), language: this.bookLanguage });
+    const jobs = [];
+    // Each job catches its own failure as soon as it is queued, so a failing page is never an unhandled rejection;
+    // the first one stops extraction. Abandoned jobs also reject when the processor closes.
+    let failure = null;
+    this.pageProcessor = processor;
 
-      if (previous) {
-        const yDiff = Math.abs(y - previous.y);
-        if (previous.hasEOL || yDiff > 10) result += yDiff > 18 ? '\n\n' : '\n';
-        else if (x > previous.x && !result.endsWith(' ') && !result.endsWith('\n')) result += ' ';
+    try {
+      for (let pageNumber = 1; pageNumber <= total; pageNumber += 1) {
+        if (token !== this.extractionToken) return false;
+        if (failure) throw failure;
+
+        const content = await this.source.getPageContent(pageNumber);
+        jobs.push(processor.process(pageNumber, content).then(result => {
+          if (token !== this.extractionToken) return;
+          this.pageTexts[pageNumber - 1] = result.pageText;
+          this.applyCastEdits(result.units);
+          this.units.push(...result.units);
+          this.recordFilteredLines(pageNumber, result.removed);
+          this.extractedPages = pageNumber;
+          onPage(pageNumber, total);
+        }).catch(error => {
+          failure = failure || error;
+        }));
+        if (!processor.worker && pageNumber % 8 === 0) await new Promise(resolve => setTimeout(resolve, 0));
       }
 
-      result += text;
-      previous = { x, y, hasEOL: Boolean(item.hasEOL) };
+      await Promise.all(jobs);
+      if (failure) throw failure;
+      return token === this.extractionToken;
+    } catch (error) {
+      if (token !== this.extractionToken) return false;
+      throw error;
+    } finally {
+      processor.close();
+      if (this.pageProcessor === processor) this.pageProcessor = null;
+    }
+  }
+
+  async completeExtraction() {
+    this.detectedSpeakers = this.collectDetectedSpeakers();
+    this.updateBookLanguages();
+    this.buildChapters();
+    this.assignDefaultCharacterVoices();
+    this.renderCastList();
+    this.renderCastEditor();
+    this.updateBookStats();
+    this.updateProgressMeta();
+    this.updateOcrAvailability();
+    this.renderFilteredLines();
+    this.reanchorAnnotations();
+
+    if (!this.units.length && !this.pdfDoc) {
+      if (this.currentLocation) this.currentLocation.textContent = `${this.pageLabel()} ${this.viewerPage}`;
+      if (this.currentText) this.currentText.textContent = 'This book opened, but it does not contain any text to narrate.';
+      this.setUploadStatus('Book opened, but no text was found.');
+      this.showToast('No text was found in this book.');
+    } else if (!this.units.length) {
+      if (this.currentLocation) this.currentLocation.textContent = `Page ${this.viewerPage}`;
+      if (this.currentText) {
+        this.currentText.textContent = 'This PDF opened, but it does not contain selectable text to narrate. It looks like a scanned-image PDF: use Recognize text to read the page images.';
+      }
+      this.setUploadStatus('PDF opened, but no selectable text was found.');
+      this.showToast('No selectable text was found. Recognize text to narrate scanned pages.');
+      this.openOcrPanel();
     }
 
-    return result
-      .replace(/-\n(?=[a-z])/g, '')
-      .replace(/[ \t]+\n/g, '\n')
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
+    await this.saveToLibrary(false);
   }
 
-  buildUnitsForPage(pageText, page, context) {
-    if (!pageText.trim()) return;
-    const paragraphs = pageText
-      .split(/\n\s*\n|\n(?=\s{0,4}[A-Z“"])/)
-      .map(normalizeSpaces)
-      .filter(Boolean);
+  handleExtractionError(error) {
+    console.error('Page extraction failed:', error);
+    this.extracting = false;
+    this.updateExtractionStatus();
+    this.updateOcrAvailability();
+    this.showToast('Some pages could not be read. Narration stops at the last readable page.');
+  }
 
-    paragraphs.forEach(paragraph => {
-      const sentences = this.segmentSentences(paragraph);
-      let bucket = '';
+  updateExtractionStatus() {
+    if (!this.extractStatus) return;
+    const total = this.source?.pageCount || 0;
+    this.extractStatus.classList.toggle('hidden', !this.extracting);
+    if (this.extracting) {
+      this.extractStatus.textContent = `Preparing ${this.pageLabel().toLowerCase()}s in the background… ${this.extractedPages} of ${total}`;
+    }
+  }
 
-      const flush = () => {
-        const text = normalizeSpaces(bucket);
-        if (!text) return;
-        const segments = this.buildPerformanceSegments(text, context);
-        this.units.push({ page, text, segments, words: wordCount(text) });
-        bucket = '';
-      };
+  readFilterKeep() {
+    try {
+      return new Set(JSON.parse(localStorage.getItem(FILTER_KEY_PREFIX + this.fileKey) || '[]'));
+    } catch {
+      return new Set();
+    }
+  }
+
+  recordFilteredLines(page, removed = []) {
+    removed.forEach(({ kind, key, text }) => {
+      const entry = this.filteredLines.get(key) || { key, kind, samples: [], pages: 0, lastPage: 0 };
+      if (entry.lastPage !== page) entry.pages += 1;
+      entry.lastPage = page;
+      if (entry.samples.length < 3 && !entry.samples.includes(text)) entry.samples.push(text);
+      this.filteredLines.set(key, entry);
+    });
+  }
+
+  renderFilteredLines() {
+    const entries = Array.from(this.filteredLines.values()).sort((a, b) => b.pages - a.pages);
+    this.pendingFilterKeep = new Set(this.filterKeep);
+    this.toggleFiltersBtn?.classList.toggle('hidden', !entries.length);
+    if (!entries.length) this.filterPanel?.classList.add('hidden');
+    if (this.applyFiltersBtn) this.applyFiltersBtn.disabled = true;
 
-      sentences.forEach(sentence => {
-        const candidate = `${bucket}${bucket ? ' ' : ''}${sentence}`;
-        const hasDialogueBoundary = /[”"]\s*$/.test(bucket) || /^[“"]/.test(sentence);
-        if (bucket && (candidate.length > 460 || (bucket.length > 220 && hasDialogueBoundary))) flush();
-        bucket += `${bucket ? ' ' : ''}${sentence}`;
+    if (this.filterSummary) {
+      const skipped = entries.filter(entry => !this.filterKeep.has(entry.key)).reduce((sum, entry) => sum + entry.pages, 0);
+      this.filterSummary.textContent = `Skipped on ${skipped.toLocaleString()} page${skipped === 1 ? '' : 's'}. Untick anything you want read aloud.`;
+    }
+    if (!this.filterList) return;
+    this.filterList.innerHTML = '';
+
+    entries.forEach(entry => {
+      const row = document.createElement('label');
+      row.className = 'toggle-row';
+      const info = document.createElement('span');
+      const title = document.createElement('strong');
+      title.textContent = FILTER_KIND_LABELS[entry.kind] || entry.kind;
+      const detail = document.createElement('small');
+      const samples = entry.samples.map(sample => `“${sample}”`).join(', ');
+      detail.textContent = `${samples} · ${entry.pages.toLocaleString()} page${entry.pages === 1 ? '' : 's'}`;
+      info.append(title, detail);
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !this.filterKeep.has(entry.key);
+      checkbox.setAttribute('aria-label', `Skip ${title.textContent.toLowerCase()}`);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) this.pendingFilterKeep.delete(entry.key);
+        else this.pendingFilterKeep.add(entry.key);
+        const changed = this.pendingFilterKeep.size !== this.filterKeep.size
+          || Array.from(this.pendingFilterKeep).some(key => !this.filterKeep.has(key));
+        if (this.applyFiltersBtn) this.applyFiltersBtn.disabled = !changed || this.extracting;
       });
 
-      flush();
+      row.append(info, checkbox);
+      this.filterList.appendChild(row);
     });
   }
 
-  segmentSentences(text) {
-    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
-      try {
-        const segmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
-        return Array.from(segmenter.segment(text), entry => entry.segment.trim()).filter(Boolean);
-      } catch {
-        // Fall through to regex segmentation.
+  // Filtering happens during extraction, so changing it re-reads the book and keeps the listener on the same page.
+  async applyFilterChanges() {
+    if (!this.source || this.extracting) return;
+    const page = this.units[this.currentUnitIndex]?.page || this.viewerPage;
+    this.filterKeep = new Set(this.pendingFilterKeep);
+    try {
+      localStorage.setItem(FILTER_KEY_PREFIX + this.fileKey, JSON.stringify(Array.from(this.filterKeep)));
+    } catch {
+      // Storage is optional; the change still applies to this session.
+    }
+
+    this.pause(false);
+    this.cancelOcr(false);
+    this.filterPanel?.classList.add('hidden');
+    const extraction = this.startExtraction(() => this.extractedPages >= page);
+    try {
+      await extraction.ready;
+    } catch (error) {
+      this.showLoading(false);
+      this.handleExtractionError(error);
+      return;
+    }
+
+    const index = this.units.findIndex(unit => unit.page >= page);
+    this.currentUnitIndex = Math.max(0, index === -1 ? this.units.length - 1 : index);
+    this.currentSegmentIndex = 0;
+    this.buildChapters();
+    this.showLoading(false);
+    this.updateDisplay();
+    this.showToast('Skipped text updated.');
+    extraction.done
+      .then(completed => completed && this.completeExtraction())
+      .catch(error => this.handleExtractionError(error));
+  }
+
+  estimatedPendingWords() {
+    if (!this.extracting || !this.extractedPages || !this.source) return 0;
+    const words = this.units.reduce((sum, unit) => sum + unit.words, 0);
+    return Math.round((words / this.extractedPages) * (this.source.pageCount - this.extractedPages));
+  }
+
+  loadSpeechRates() {
+    try {
+      return JSON.parse(localStorage.getItem(SPEECH_RATES_KEY) || '{}') || {};
+    } catch {
+      return {};
+    }
+  }
+
+  speechRateKey(voice) {
+    return `${this.speechEngine?.id || 'device'}:${voice?.name || 'default'}`;
+  }
+
+  // Characters of book text per second for a voice at a speed, from timed narration when there is any.
+  charsPerSecond(voice, rate = this.speechRate) {
+    const measured = this.speechRates[this.speechRateKey(voice)] || {};
+    const exact = measured[rate.toFixed(2)];
+    if (exact) return exact.cps;
+    // Otherwise scale the nearest measured speed: voices speed up roughly in proportion to the rate.
+    const nearest = Object.keys(measured).sort((a, b) => Math.abs(a - rate) - Math.abs(b - rate))[0];
+    if (nearest) return (measured[nearest].cps * rate) / Number(nearest);
+    return DEFAULT_CHARS_PER_SECOND * rate;
+  }
+
+  recordSpeechTiming(voice, rate, chars, seconds) {
+    // Short chunks are dominated by start-up latency; implausible speeds come from interrupted speech.
+    if (chars < 40 || seconds < 1) return;
+    const cps = chars / seconds;
+    if (cps < 3 || cps > 60) return;
+
+    const key = this.speechRateKey(voice);
+    const rates = this.speechRates[key] || (this.speechRates[key] = {});
+    const entry = rates[rate.toFixed(2)] || { cps, samples: 0 };
+    // A running average that settles after a few dozen chunks but keeps following the voice.
+    entry.cps += (cps - entry.cps) / Math.min(entry.samples + 1, 30);
+    entry.samples += 1;
+    rates[rate.toFixed(2)] = entry;
+    if (this.timelineDrifted(voice)) this.timeline = null;
+    try {
+      localStorage.setItem(SPEECH_RATES_KEY, JSON.stringify(this.speechRates));
+    } catch {
+      // Calibration persistence is optional.
+    }
+  }
+
+  // Whether the timeline was built with a speed for this voice that calibration has since moved noticeably.
+  timelineDrifted(voice) {
+    return [...(this.timeline?.rates.values() || [])].some(used => used.voice?.name === voice?.name
+      && Math.abs(this.charsPerSecond(used.voice, used.rate) / used.cps - 1) > TIMELINE_RECALIBRATE_SHARE);
+  }
+
+  // Trailing-off and broken-off lines get a longer pause after them, scaled by Expression.
+  segmentPauseMs(segment) {
+    const pause = segment.type === 'dialogue' ? SEGMENT_PAUSE_MS.dialogue : SEGMENT_PAUSE_MS.narration;
+    const cue = PROSODY_CUES[closingPunctuation(segment.text)];
+    return pause + (cue ? Math.round(cue.pause * this.prosodyIntensity) : 0);
+  }
+
+  // The pause before a unit: longer before a new paragraph, scene or chapter heading.
+  unitPauseMs(unitIndex) {
+    const unit = this.units[unitIndex];
+    if (unit?.heading) return UNIT_PAUSE_MS.chapter;
+    if (unit?.sceneBreak) return UNIT_PAUSE_MS.scene;
+    return unit && !unit.continued ? UNIT_PAUSE_MS.paragraph : UNIT_PAUSE_MS.sentence;
+  }
+
+  segmentSeconds(segment, lang, cpsFor = (voice, rate) => this.charsPerSecond(voice, rate), languageVoice) {
+    const { voice, rate } = this.getVoiceForSegment(segment, lang, languageVoice);
+    return segment.text.length / cpsFor(voice, rate) + this.segmentPauseMs(segment) / 1000;
+  }
+
+  // Seconds from the start of the book to the start of each unit with the current voices and speed.
+  // Rebuilt when units are replaced, voices change or calibration moves a speed; pages appended by extraction only extend it.
+  getTimeline() {
+    const stamp = [
+      this.speechRate, this.speechEngine?.id, this.voices.length,
+      this.narratorVoice?.name, this.dialogueVoice?.name, this.smartVoices, this.castRevision, this.prosodyIntensity
+    ].join('|');
+    const previous = this.timeline?.stamp === stamp && this.timeline.units === this.units ? this.timeline : null;
+    if (previous?.count === this.units.length) return previous;
+
+    const from = previous && previous.count < this.units.length ? previous.count : 0;
+    const rates = new Map(from ? previous.rates : []);
+    const cpsFor = (voice, rate) => {
+      const key = `${voice?.name}|${rate}`;
+      if (!rates.has(key)) rates.set(key, { voice, rate, cps: this.charsPerSecond(voice, rate) });
+      return rates.get(key).cps;
+    };
+    // Choosing a voice for a language sorts every voice, so it is done once per language.
+    const languageVoices = new Map();
+    const languageVoice = lang => {
+      if (!languageVoices.has(lang)) languageVoices.set(lang, this.voiceForLanguage(lang));
+      return languageVoices.get(lang);
+    };
+    const starts = new Float64Array(this.units.length + 1);
+    if (from) starts.set(previous.starts.subarray(0, from + 1));
+    let seconds = starts[from];
+    for (let index = from; index < this.units.length; index += 1) {
+      const unit = this.units[index];
+      starts[index] = seconds;
+      seconds += unit.segments.reduce((sum, segment) => sum + this.segmentSeconds(segment, unit.lang, cpsFor, languageVoice), 0);
+      seconds += this.unitPauseMs(index + 1) / 1000;
+    }
+    starts[this.units.length] = seconds;
+    this.timeline = { stamp, units: this.units, count: this.units.length, starts, rates };
+    this.renderChapterMarkers();
+    return this.timeline;
+  }
+
+  // While pages are still loading, the rest of the book is assumed to read like the pages so far.
+  estimatedTotalSeconds() {
+    const total = this.getTimeline().starts[this.units.length];
+    if (!this.extracting || !this.extractedPages || !this.source) return total;
+    return (total * this.source.pageCount) / this.extractedPages;
+  }
+
+  // Listening time up to the word being read, or to where narration will resume.
+  positionSeconds() {
+    const unit = this.units[this.currentUnitIndex];
+    if (!unit) return 0;
+    let seconds = this.getTimeline().starts[this.currentUnitIndex];
+    const current = Math.min(this.currentSegmentIndex, unit.segments.length);
+    for (let index = 0; index < current; index += 1) seconds += this.segmentSeconds(unit.segments[index], unit.lang);
+
+    const segment = unit.segments[current];
+    if (!segment) return seconds;
+    const at = position => position?.unitIndex === this.currentUnitIndex && position.segmentIndex === current;
+    const offset = at(this.spokenWord) ? this.spokenWord.start : at(this.pendingStartOffset) ? this.pendingStartOffset.offset : 0;
+    const { voice, rate } = this.getVoiceForSegment(segment, unit.lang);
+    return seconds + offset / this.charsPerSecond(voice, rate);
+  }
+
+  // Moves narration to a point in time, down to the word.
+  seekToSeconds(target) {
+    if (!this.units.length) return;
+    const { starts } = this.getTimeline();
+    const time = clamp(target, 0, starts[this.units.length]);
+    let low = 0;
+    let high = this.units.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= time) low = middle;
+      else high = middle - 1;
+    }
+
+    const unit = this.units[low];
+    let remaining = time - starts[low];
+    let segmentIndex = 0;
+    while (segmentIndex < unit.segments.length - 1) {
+      const length = this.segmentSeconds(unit.segments[segmentIndex], unit.lang);
+      if (remaining < length) break;
+      remaining -= length;
+      segmentIndex += 1;
+    }
+    const segment = unit.segments[segmentIndex];
+    const { voice, rate } = this.getVoiceForSegment(segment, unit.lang);
+    const chars = Math.round(remaining * this.charsPerSecond(voice, rate));
+    const offset = chars > 0 && chars < segment.text.length ? wordStartAt(segment.text, chars) : 0;
+
+    const wasPlaying = this.isPlaying;
+    this.pause(false);
+    this.currentUnitIndex = low;
+    this.currentSegmentIndex = segmentIndex;
+    this.pendingStartOffset = offset > 0 ? { unitIndex: low, segmentIndex, offset } : null;
+    this.updateDisplay();
+    if (wasPlaying) this.play();
+  }
+
+  buildChapters() {
+    const chapters = [];
+    const useOutline = this.outline.length >= 2;
+
+    if (useOutline) {
+      this.outline.forEach(entry => {
+        const unitIndex = this.units.findIndex(unit => unit.page >= entry.page);
+        if (unitIndex >= 0) chapters.push({ ...entry, unitIndex });
+      });
+    } else {
+      this.units.forEach((unit, unitIndex) => {
+        if (!unit.heading) return;
+        const previous = chapters[chapters.length - 1];
+        // Headings set over several lines arrive as consecutive heading units.
+        if (previous && previous.unitIndex + previous.span === unitIndex && previous.page === unit.page) {
+          previous.title = `${previous.title} ${unit.text}`.slice(0, 120);
+          previous.span += 1;
+          return;
+        }
+        chapters.push({ title: unit.text, page: unit.page, level: 0, unitIndex, span: 1 });
+      });
+    }
+
+    this.chapters = chapters
+      .filter((chapter, index, list) => index === 0 || chapter.unitIndex !== list[index - 1].unitIndex)
+      .map(({ title, page, level, unitIndex }) => ({ title, page, level, unitIndex }));
+    this.chapterOrigin = useOutline ? 'outline' : 'headings';
+    this.currentChapterIndex = -1;
+    this.renderChapters();
+  }
+
+  chapterIndexAt(unitIndex) {
+    let found = -1;
+    for (let index = 0; index < this.chapters.length; index += 1) {
+      if (this.chapters[index].unitIndex > unitIndex) break;
+      found = index;
+    }
+    return found;
+  }
+
+  renderChapters() {
+    this.toggleChaptersBtn?.classList.toggle('hidden', !this.chapters.length);
+    if (!this.chapters.length) this.chapterPanel?.classList.add('hidden');
+    if (this.chapterSource) {
+      this.chapterSource.textContent = this.chapterOrigin === 'outline'
+        ? 'From the book’s table of contents.'
+        : 'Detected from chapter headings in the text.';
+    }
+
+    if (this.chapterList) {
+      this.chapterList.innerHTML = '';
+      this.chapters.forEach((chapter, index) => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'chapter-item';
+        button.dataset.chapter = String(index);
+        button.style.paddingLeft = `${12 + chapter.level * 16}px`;
+        const title = document.createElement('span');
+        title.textContent = chapter.title;
+        const page = document.createElement('small');
+        page.textContent = `p. ${chapter.page}`;
+        button.append(title, page);
+        button.addEventListener('click', () => this.goToChapter(index));
+        item.appendChild(button);
+        this.chapterList.appendChild(item);
+      });
+    }
+
+    this.renderChapterMarkers();
+    this.updateChapterState();
+  }
+
+  renderChapterMarkers() {
+    if (!this.progressChapters) return;
+    this.progressChapters.innerHTML = '';
+    const total = this.estimatedTotalSeconds();
+    if (!total) return;
+    const { starts } = this.getTimeline();
+
+    this.chapters.forEach(chapter => {
+      if (!chapter.unitIndex || chapter.level > 0) return;
+      const marker = document.createElement('span');
+      marker.className = 'chapter-marker';
+      marker.style.left = `${clamp((starts[chapter.unitIndex] / total) * 100, 0, 100)}%`;
+      marker.title = chapter.title;
+      this.progressChapters.appendChild(marker);
+    });
+  }
+
+  updateChapterState() {
+    const index = this.chapterIndexAt(this.currentUnitIndex);
+    if (index === this.currentChapterIndex) return;
+    this.currentChapterIndex = index;
+    this.chapterList?.querySelectorAll('.chapter-item').forEach(button => {
+      const active = Number(button.dataset.chapter) === index;
+      button.classList.toggle('active', active);
+      if (active) button.setAttribute('aria-current', 'true');
+      else button.removeAttribute('aria-current');
+    });
+  }
+
+  goToChapter(index) {
+    const chapter = this.chapters[index];
+    if (!chapter || !this.units[chapter.unitIndex]) return;
+
+    const wasPlaying = this.isPlaying;
+    this.pause(false);
+    this.currentUnitIndex = chapter.unitIndex;
+    this.currentSegmentIndex = 0;
+    this.followNarration = true;
+    if (this.followNarrationCheckbox) this.followNarrationCheckbox.checked = true;
+    this.viewerPage = this.units[chapter.unitIndex].page;
+    this.updateDisplay();
+    this.renderPage(this.viewerPage, true);
+    this.saveBookPosition();
+    if (wasPlaying) this.play();
+  }
+
+  skipChapter(direction) {
+    if (!this.chapters.length) {
+      this.seekBySeconds(direction * 15);
+      return;
+    }
+
+    const current = this.chapterIndexAt(this.currentUnitIndex);
+    let target = current + direction;
+    // "Previous" first returns to the start of the current chapter, like a music player.
+    if (direction < 0 && current >= 0 && this.currentUnitIndex - this.chapters[current].unitIndex > 1) target = current;
+    if (target >= this.chapters.length) {
+      this.showToast('This is the last chapter.');
+      return;
+    }
+    this.goToChapter(Math.max(0, target));
+  }
+
+  pagesWithoutText() {
+    if (!this.pdfDoc) return [];
+    const pages = [];
+    for (let page = 1; page <= this.pdfDoc.numPages; page += 1) {
+      if (!this.pageTexts[page - 1]?.trim() && !(page in this.ocrPages)) pages.push(page);
+    }
+    return pages;
+  }
+
+  updateOcrAvailability() {
+    if (!this.openOcrBtn) return;
+    const available = Boolean(this.pdfDoc) && !this.extracting
+      && (this.ocrRunning || Object.keys(this.ocrPages).length > 0 || this.pagesWithoutText().length > 0);
+    this.openOcrBtn.classList.toggle('hidden', !available);
+  }
+
+  openOcrPanel() {
+    if (!this.pdfDoc || !this.ocrPanel) return;
+    if (!this.ocrRunning) {
+      const missing = this.pagesWithoutText();
+      const total = this.pdfDoc.numPages;
+      if (this.ocrFrom) {
+        this.ocrFrom.max = String(total);
+        this.ocrFrom.value = String(missing[0] || this.viewerPage);
       }
+      if (this.ocrTo) {
+        this.ocrTo.max = String(total);
+        this.ocrTo.value = String(missing[missing.length - 1] || this.viewerPage);
+      }
+      this.setOcrStatus(missing.length
+        ? `${missing.length} page${missing.length === 1 ? ' has' : 's have'} no selectable text.`
+        : 'Every page already has text. Recognizing a page again replaces its text.', 0);
+    }
+    this.renderOcrResults();
+    this.ocrPanel.classList.remove('hidden');
+  }
+
+  setOcrStatus(message, percent = null) {
+    if (this.ocrStatus) this.ocrStatus.textContent = message;
+    if (percent !== null && this.ocrProgressFill) this.ocrProgressFill.style.width = `${clamp(percent, 0, 100)}%`;
+  }
+
+  setOcrRunning(running) {
+    this.ocrRunning = running;
+    if (this.ocrStart) this.ocrStart.disabled = running;
+    if (this.ocrFrom) this.ocrFrom.disabled = running;
+    if (this.ocrTo) this.ocrTo.disabled = running;
+    this.ocrCancel?.classList.toggle('hidden', !running);
+    this.updateOcrAvailability();
+  }
+
+  async ensureOcrWorker() {
+    if (this.ocrWorker) return this.ocrWorker;
+    const isLoaded = () => typeof Tesseract !== 'undefined';
+    if (!isLoaded()) await loadExternalScript(OCR_ASSETS.script, 20000, isLoaded, 'text recognition');
+    if (!isLoaded()) throw new Error('Text recognition could not load.');
+
+    const local = path => new URL(path, document.baseURI).href;
+    this.ocrWorker = await Tesseract.createWorker(OCR_LANGUAGE, Tesseract.OEM.LSTM_ONLY, {
+      workerPath: local(OCR_ASSETS.worker),
+      corePath: local(OCR_ASSETS.core),
+      langPath: local(OCR_ASSETS.lang),
+      workerBlobURL: false,
+      cacheMethod: 'none',
+      logger: message => this.handleOcrLog(message)
+    });
+    return this.ocrWorker;
+  }
+
+  handleOcrLog(message) {
+    const job = this.ocrProgress;
+    if (!job || !message?.status) return;
+    const step = message.status === 'recognizing text' ? Number(message.progress) || 0 : 0;
+    const percent = ((job.index + step) / job.count) * 100;
+    const detail = message.status === 'recognizing text'
+      ? `${Math.round(step * 100)}%`
+      : message.status.replace(/^\w/, char => char.toUpperCase());
+    this.setOcrStatus(`Page ${job.page} (${job.index + 1} of ${job.count}): ${detail}`, percent);
+  }
+
+  async runOcr() {
+    if (!this.pdfDoc || this.ocrRunning) return;
+    const total = this.pdfDoc.numPages;
+    const from = clamp(Math.round(Number(this.ocrFrom?.value) || 1), 1, total);
+    const to = clamp(Math.round(Number(this.ocrTo?.value) || from), from, total);
+    if (this.ocrFrom) this.ocrFrom.value = String(from);
+    if (this.ocrTo) this.ocrTo.value = String(to);
+
+    this.ocrToken += 1;
+    const token = this.ocrToken;
+    const context = createExtractionContext({ language: this.bookLanguage, keepFiltered: Array.from(this.filterKeep) });
+    let recognized = 0;
+    this.setOcrRunning(true);
+    this.setOcrStatus('Loading text recognition…', 0);
+
+    try {
+      const worker = await this.ensureOcrWorker();
+      for (let page = from; page <= to; page += 1) {
+        if (token !== this.ocrToken) return;
+        this.ocrProgress = { page, index: page - from, count: to - from + 1 };
+        const pdfPage = await this.pdfDoc.getPage(page);
+        const canvas = document.createElement('canvas');
+        await this.startPageRender(pdfPage, canvas, OCR_RENDER_SCALE).promise;
+        const { data } = await worker.recognize(canvas);
+        if (token !== this.ocrToken) return;
+
+        // Recognized words go through the same header, footer and layout filters as a page with a text layer.
+        const { pageText, units, removed } = processPageItems(this.ocrTextItems(pdfPage, data?.lines), page, context);
+        this.pageTexts[page - 1] = pageText;
+        this.replacePageUnits(page, units);
+        this.recordFilteredLines(page, removed);
+        this.ocrPages[page] = Math.round(Number(data?.confidence) || 0);
+        recognized += 1;
+        this.renderOcrResults();
+      }
+
+      this.setOcrStatus(`Recognized ${recognized} page${recognized === 1 ? '' : 's'}.`, 100);
+      this.showToast(this.units.length ? 'Text recognized. Press Play.' : 'No text was recognized on those pages.');
+    } catch (error) {
+      if (token !== this.ocrToken) return;
+      console.error('Text recognition failed:', error);
+      this.setOcrStatus(`Text recognition failed: ${error?.message || error}`);
+      this.showToast('Text recognition failed.');
+    } finally {
+      if (token === this.ocrToken) {
+        this.ocrProgress = null;
+        this.setOcrRunning(false);
+        if (recognized) this.applyOcrResults();
+      }
+    }
+  }
+
+  // Recognized words as pdf.js-style text items in PDF points. Each word sits on its line's box, so a line is one row
+  // however its letters rise and drop, and the last word of a line ends it.
+  ocrTextItems(pdfPage, lines = []) {
+    const viewport = pdfPage.getViewport({ scale: OCR_RENDER_SCALE });
+    const toPdfBox = ({ x0, y0, x1, y1 }) => {
+      const [left, bottom] = viewport.convertToPdfPoint(x0, y1);
+      const [right, top] = viewport.convertToPdfPoint(x1, y0);
+      return { x: Math.min(left, right), y: Math.min(bottom, top), width: Math.abs(right - left), height: Math.abs(top - bottom) };
+    };
+    return (lines || []).flatMap(line => {
+      const row = toPdfBox(line.bbox);
+      const words = (line.words || []).filter(word => word.text?.trim());
+      return words.map((word, index) => {
+        const box = toPdfBox(word.bbox);
+        return {
+          str: word.text,
+          transform: [1, 0, 0, 1, box.x, row.y],
+          width: box.width,
+          height: row.height,
+          hasEOL: index === words.length - 1
+        };
+      });
+    });
+  }
+
+  cancelOcr(report = true) {
+    const wasRunning = this.ocrRunning;
+    this.ocrToken += 1;
+    this.ocrProgress = null;
+    this.ocrWorker?.terminate?.();
+    this.ocrWorker = null;
+    this.setOcrRunning(false);
+    if (!report || !wasRunning) return;
+
+    this.setOcrStatus('Text recognition cancelled.');
+    if (Object.keys(this.ocrPages).length) this.applyOcrResults();
+  }
+
+  // Export needs an engine that renders audio itself; the open engine is used when it can, so its voices apply.
+  audioExportEngine() {
+    return [this.speechEngine, ...this.speechEngines].find(engine => engine?.synthesize && engine.available) || null;
+  }
+
+  openExportPanel() {
+    if (!this.source || !this.exportPanel) return;
+    if (!this.exportRunning) {
+      const engine = this.audioExportEngine();
+      if (this.exportHelp) {
+        this.exportHelp.textContent = !engine
+          ? 'Audio export needs neural voice support, which this browser does not have.'
+          : engine === this.speechEngine
+            ? 'Rendered on this device with your narrator, dialogue and character voices at the current speed.'
+            : 'Rendered on this device with neural voices. Choose Neural voices as the Engine to pick the narrator and character voices.';
+      }
+      if (this.exportStart) this.exportStart.disabled = !engine;
+
+      const current = Math.max(0, this.chapterIndexAt(this.currentUnitIndex));
+      [this.exportChapterFrom, this.exportChapterTo].forEach(select => {
+        if (!select) return;
+        select.innerHTML = '';
+        this.chapters.forEach((chapter, index) => {
+          const option = document.createElement('option');
+          option.value = String(index);
+          option.textContent = `${index + 1}. ${chapter.title}`;
+          select.appendChild(option);
+        });
+        select.value = String(current);
+      });
+      const total = this.source.pageCount;
+      [this.exportFrom, this.exportTo].forEach(input => {
+        if (!input) return;
+        input.max = String(total);
+        input.value = String(this.units[this.currentUnitIndex]?.page || this.viewerPage);
+      });
+      if (this.exportFromLabel) this.exportFromLabel.textContent = `From ${this.pageLabel().toLowerCase()}`;
+      if (this.exportRange) {
+        this.exportRange.options[0].disabled = !this.chapters.length;
+        this.exportRange.options[1].textContent = `${this.pageLabel()}s`;
+        this.exportRange.value = this.chapters.length ? 'chapters' : 'pages';
+      }
+      this.updateExportRange();
+    }
+    this.exportPanel.classList.remove('hidden');
+  }
+
+  updateExportRange() {
+    const byChapter = this.exportRange?.value === 'chapters';
+    this.exportChapters?.classList.toggle('hidden', !byChapter);
+    this.exportPages?.classList.toggle('hidden', byChapter);
+    this.updateExportEstimate();
+  }
+
+  // Units to export, end exclusive. Chapter ranges start and stop exactly at chapter headings.
+  exportUnitRange() {
+    if (this.exportRange?.value === 'chapters' && this.chapters.length) {
+      const last = this.chapters.length - 1;
+      const from = clamp(Number(this.exportChapterFrom?.value) || 0, 0, last);
+      const to = clamp(Number(this.exportChapterTo?.value) || 0, from, last);
+      if (this.exportChapterTo) this.exportChapterTo.value = String(to);
+      return { start: this.chapters[from].unitIndex, end: this.chapters[to + 1]?.unitIndex ?? this.units.length };
+    }
+
+    const total = this.source?.pageCount || 1;
+    const from = clamp(Math.round(Number(this.exportFrom?.value) || 1), 1, total);
+    const to = clamp(Math.round(Number(this.exportTo?.value) || from), from, total);
+    if (this.exportFrom) this.exportFrom.value = String(from);
+    if (this.exportTo) this.exportTo.value = String(to);
+    let start = this.units.findIndex(unit => unit.page >= from);
+    if (start < 0) start = this.units.length;
+    let end = start;
+    while (end < this.units.length && this.units[end].page <= to) end += 1;
+    return { start, end };
+  }
+
+  updateExportEstimate() {
+    if (this.exportRunning) return;
+    const { start, end } = this.exportUnitRange();
+    if (start >= end) {
+      this.setExportStatus('There is no narration text in that range.', 0);
+      return;
+    }
+    const { starts } = this.getTimeline();
+    const minutes = Math.max(1, Math.round((starts[end] - starts[start]) / 60));
+    const bytes = minutes * 60 * EXPORT_SAMPLE_RATE * 2;
+    const megabytes = Math.max(1, Math.round(bytes / 1e6));
+    const files = Math.ceil(bytes / EXPORT_PART_BYTES);
+    const split = files > 1 ? ` It will be saved as ${files} WAV files.` : '';
+    this.setExportStatus(`About ${this.formatMinutes(minutes)} of audio, roughly ${megabytes} MB.${split}`, 0);
+  }
+
+  setExportStatus(message, percent = null) {
+    if (this.exportStatus) this.exportStatus.textContent = message;
+    if (percent !== null && this.exportProgressFill) this.exportProgressFill.style.width = `${clamp(percent, 0, 100)}%`;
+  }
+
+  setExportRunning(running) {
+    this.exportRunning = running;
+    [this.exportStart, this.exportRange, this.exportChapterFrom, this.exportChapterTo, this.exportFrom, this.exportTo]
+      .forEach(element => {
+        if (element) element.disabled = running;
+      });
+    this.exportCancel?.classList.toggle('hidden', !running);
+  }
+
+  async exportAudio() {
+    const engine = this.audioExportEngine();
+    if (!this.source || !engine || this.exportRunning) return;
+    if (this.extracting) {
+      this.setExportStatus('The book is still loading. Export once every page is ready.');
+      return;
+    }
+    const { start, end } = this.exportUnitRange();
+    const totalWords = this.units.slice(start, end).reduce((sum, unit) => sum + unit.words, 0);
+    if (!totalWords) {
+      this.setExportStatus('There is no narration text in that range.', 0);
+      return;
+    }
+
+    engine.unlock?.();
+    this.exportToken += 1;
+    const token = this.exportToken;
+    const title = this.bookName?.textContent || 'Book';
+    const fileName = title.replace(/[\\/:*?"<>|]+/g, '').trim() || 'book';
+    // Each chapter's small PCM buffers are folded into one Blob, which the browser can keep out of memory.
+    const file = { parts: [], chapterParts: [], markers: [], samples: 0 };
+    let fileCount = 0;
+    let samples = 0;
+    let doneWords = 0;
+    let label = '';
+    const closeChapter = () => {
+      if (file.chapterParts.length) file.parts.push(new Blob(file.chapterParts));
+      file.chapterParts = [];
+    };
+    const saveFile = partName => {
+      closeChapter();
+      const name = partName ? `${fileName} (part ${fileCount + 1})` : fileName;
+      downloadFile(`${name}.wav`, 'audio/wav', encodeWav(EXPORT_SAMPLE_RATE, file.parts, file.markers));
+      if (this.exportCueSheet?.checked) {
+        downloadFile(`${name}.cue`, 'application/x-cue', cueSheet(title, `${name}.wav`, file.markers, EXPORT_SAMPLE_RATE));
+      }
+      fileCount += 1;
+      Object.assign(file, { parts: [], markers: [], samples: 0 });
+    };
+    const addPcm = pcm => {
+      // A WAV file that would pass 4 GB is saved as it is, and the rest goes into the next part.
+      if ((file.samples + pcm.length) * 2 > EXPORT_PART_BYTES) {
+        if (file.markers.at(-1)?.sample === file.samples) file.markers.pop();
+        saveFile(true);
+        file.markers.push({ sample: 0, label });
+      }
+      file.chapterParts.push(pcm.buffer);
+      file.samples += pcm.length;
+      samples += pcm.length;
+    };
+    const addSilence = ms => addPcm(new Int16Array(Math.round((EXPORT_SAMPLE_RATE * ms) / 1000)));
+    this.setExportRunning(true);
+    this.setExportStatus('Loading voices…', 0);
+
+    try {
+      for (let index = start; index < end; index += 1) {
+        const unit = this.units[index];
+        const chapter = this.chapters[this.chapterIndexAt(index)];
+        if (!label || chapter?.unitIndex === index) {
+          closeChapter();
+          label = chapter?.title || `${this.pageLabel()} ${unit.page}`;
+          file.markers.push({ sample: file.samples, label });
+        }
+
+        for (const segment of unit.segments) {
+          const spoken = this.prepareSpokenText(segment.text, unit.lang);
+          for (const chunk of this.splitForSpeech(spoken.text, 620, unit.lang)) {
+            let audio = null;
+            try {
+              audio = await engine.synthesize(chunk, this.speechOptions(segment, unit.lang, chunk));
+            } catch (error) {
+              if (error.fatal) throw error;
+              console.warn('Skipped a passage that could not be rendered:', error);
+            }
+            if (token !== this.exportToken) return;
+            if (!audio) continue;
+            addPcm(floatToPcm16(resamplePcm(audio.samples, audio.sampleRate, EXPORT_SAMPLE_RATE)));
+          }
+          // The same pauses as live narration.
+          addSilence(this.segmentPauseMs(segment));
+        }
+        addSilence(this.unitPauseMs(index + 1));
+
+        doneWords += unit.words;
+        this.setExportStatus(
+          `Rendering ${this.pageLabel().toLowerCase()} ${unit.page}… ${formatClock(samples / EXPORT_SAMPLE_RATE)} of audio`,
+          (doneWords / totalWords) * 100
+        );
+      }
+
+      const markerCount = fileCount ? 0 : file.markers.length;
+      saveFile(fileCount > 0);
+      const saved = fileCount > 1 ? ` in ${fileCount} files` : markerCount > 1 ? ` with ${markerCount} chapter markers` : '';
+      this.setExportStatus(`Exported ${formatClock(samples / EXPORT_SAMPLE_RATE)} of audio${saved}.`, 100);
+    } catch (error) {
+      if (token !== this.exportToken) return;
+      console.error('Audio export failed:', error);
+      this.setExportStatus(`Audio export failed: ${error?.message || error}`);
+      this.showToast('Audio export failed.');
+    } finally {
+      if (token === this.exportToken) this.setExportRunning(false);
+    }
+  }
+
+  cancelExport() {
+    if (!this.exportRunning) return;
+    this.exportToken += 1;
+    this.setExportRunning(false);
+    this.setExportStatus('Export cancelled.', 0);
+  }
+
+  replacePageUnits(page, pageUnits) {
+    this.applyCastEdits(pageUnits);
+    const currentUnit = this.units[this.currentUnitIndex];
+    const units = this.units.filter(unit => unit.page !== page);
+    const insertAt = units.findIndex(unit => unit.page > page);
+    units.splice(insertAt < 0 ? units.length : insertAt, 0, ...pageUnits);
+    this.units = units;
+
+    const index = currentUnit ? this.units.indexOf(currentUnit) : -1;
+    this.currentUnitIndex = index >= 0 ? index : clamp(this.currentUnitIndex, 0, Math.max(0, this.units.length - 1));
+    if (index < 0) this.currentSegmentIndex = 0;
+  }
+
+  applyOcrResults() {
+    this.renderFilteredLines();
+    this.detectedSpeakers = this.collectDetectedSpeakers();
+    this.buildChapters();
+    this.assignDefaultCharacterVoices();
+    this.renderCastList();
+    this.renderCastEditor();
+    this.updateBookStats();
+    this.updateOcrAvailability();
+    if (this.units.length) {
+      this.updateDisplay();
+      this.setUploadStatus('Book ready.');
+    }
+    this.saveToLibrary(false);
+  }
+
+  renderOcrResults() {
+    if (!this.ocrPageList) return;
+    this.ocrPageList.innerHTML = '';
+    Object.keys(this.ocrPages).map(Number).sort((a, b) => a - b).forEach(page => {
+      const confidence = this.ocrPages[page];
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `ocr-page${confidence < OCR_LOW_CONFIDENCE ? ' low' : ''}`;
+      button.textContent = `Page ${page} • ${confidence}% confidence`;
+      button.title = confidence < OCR_LOW_CONFIDENCE ? 'Low confidence: narration may contain mistakes.' : '';
+      button.addEventListener('click', () => this.browsePage(page));
+      item.appendChild(button);
+      this.ocrPageList.appendChild(item);
+    });
+  }
+
+  collectDetectedSpeakers() {
+    const counts = new Map();
+    this.units.forEach(unit => unit.segments.forEach(segment => {
+      if (segment.type === 'dialogue' && segment.speaker) {
+        counts.set(segment.speaker, (counts.get(segment.speaker) || 0) + (this.isUncertainLine(segment) ? 0 : 1));
+      }
+    }));
+
+    this.castEdits.added.forEach(name => {
+      const resolved = this.resolveSpeaker(name);
+      if (resolved && !counts.has(resolved)) counts.set(resolved, 0);
+    });
+
+    return Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, count]) => ({ name, count }));
+  }
+
+  readCastEdits() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CAST_KEY_PREFIX + this.fileKey) || '{}');
+      const isMap = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+      return {
+        aliases: isMap(saved.aliases) ? saved.aliases : {},
+        hidden: Array.isArray(saved.hidden) ? saved.hidden : [],
+        added: Array.isArray(saved.added) ? saved.added : [],
+        lines: isMap(saved.lines) ? saved.lines : {},
+        profiles: isMap(saved.profiles) ? saved.profiles : {}
+      };
+    } catch {
+      return emptyCastEdits();
+    }
+  }
+
+  saveCastEdits() {
+    try {
+      localStorage.setItem(CAST_KEY_PREFIX + this.fileKey, JSON.stringify(this.castEdits));
+    } catch {
+      this.showToast('Could not save cast changes on this device.');
+    }
+  }
+
+  // Merges and renames are both aliases, followed until a name has none. Hidden names read as unknown speakers.
+  resolveSpeaker(name) {
+    let current = name || '';
+    for (let step = 0; step < 20 && ownValue(this.castEdits.aliases, current) !== undefined; step += 1) {
+      current = this.castEdits.aliases[current];
+    }
+    return current && !this.castEdits.hidden.includes(current) ? current : null;
+  }
+
+  // Segments keep the speaker detection found, so edits can be undone and re-applied when the text is rebuilt.
+  applyCastEdits(units = this.units) {
+    forEachDialogueLine(units, (segment, key) => {
+      if (segment.detectedSpeaker === undefined) {
+        segment.detectedSpeaker = segment.speaker;
+        segment.detectedConfidence = segment.confidence ?? 1;
+      }
+      const assigned = ownValue(this.castEdits.lines, key);
+      segment.speaker = this.resolveSpeaker(assigned === undefined ? segment.detectedSpeaker : assigned);
+      segment.confidence = assigned === undefined ? segment.detectedConfidence : 1;
+    });
+  }
+
+  // A line whose speaker was only guessed, from turn-taking or an unclear pronoun.
+  isUncertainLine(segment) {
+    return Boolean(segment.speaker) && (segment.confidence ?? 1) < LOW_SPEAKER_CONFIDENCE;
+  }
+
+  refreshCast() {
+    this.saveCastEdits();
+    this.applyCastEdits();
+    this.detectedSpeakers = this.collectDetectedSpeakers();
+    this.castRevision += 1;
+    this.assignDefaultCharacterVoices();
+    this.renderCastList();
+    this.renderCastEditor();
+    this.updateBookStats();
+    this.updateDisplay();
+    if (this.isPlaying) this.restartCurrentSegment();
+  }
+
+  castName(typed) {
+    const name = String(typed || '').trim().replace(/\s+/g, ' ');
+    const known = this.detectedSpeakers.find(speaker => speaker.name.toLowerCase() === name.toLowerCase());
+    return known ? known.name : name;
+  }
+
+  // Pointing a name back at one that was merged into it would loop, so that older alias is dropped.
+  setCastAlias(from, to) {
+    const { aliases } = this.castEdits;
+    for (let name = to, step = 0; name !== undefined && step < 20; name = ownValue(aliases, name), step += 1) {
+      if (name === from) {
+        delete aliases[to];
+        break;
+      }
+    }
+    if (from !== to) aliases[from] = to;
+    this.castEdits.hidden = this.castEdits.hidden.filter(name => name !== to);
+  }
+
+  addCastMember() {
+    const name = this.castName(this.castAddName?.value);
+    if (!name) {
+      this.showToast('Type the character’s name.');
+      return;
+    }
+    if (this.detectedSpeakers.some(speaker => speaker.name === name)) {
+      this.showToast(`${name} is already in the cast.`);
+      return;
+    }
+    this.castEdits.hidden = this.castEdits.hidden.filter(hidden => hidden !== name);
+    if (ownValue(this.castEdits.aliases, name) !== undefined) delete this.castEdits.aliases[name];
+    if (!this.castEdits.added.includes(name)) this.castEdits.added.push(name);
+    if (this.castAddName) this.castAddName.value = '';
+    this.refreshCast();
+    this.showToast(`${name} added to the cast.`);
+  }
+
+  renameCastMember(name) {
+    const answer = window.prompt(`New name for ${name}`, name);
+    const next = this.castName(answer);
+    if (!next || next === name) return;
+    const merged = this.detectedSpeakers.some(speaker => speaker.name === next);
+    this.castEdits.added = this.castEdits.added.map(added => (added === name ? next : added));
+    this.setCastAlias(name, next);
+    this.moveSpeakerVoice(name, next);
+    this.refreshCast();
+    this.showToast(merged ? `${name} merged into ${next}.` : `Renamed to ${next}.`);
+  }
+
+  mergeCastMember(name, into) {
+    if (!into || into === name) return;
+    this.castEdits.added = this.castEdits.added.filter(added => added !== name);
+    this.setCastAlias(name, into);
+    this.refreshCast();
+    this.showToast(`${name} merged into ${into}.`);
+  }
+
+  // A renamed character keeps the profile it had; a merged one takes the profile of the character it joins.
+  moveSpeakerVoice(from, to) {
+    const profile = this.castProfiles.get(from);
+    if (!profile || this.castProfiles.has(to)) return;
+    this.castProfiles.set(to, profile);
+    if (ownValue(this.castEdits.profiles, from)) this.castEdits.profiles[to] = this.castEdits.profiles[from];
+  }
+
+  hideCastMember(name) {
+    if (!this.castEdits.hidden.includes(name)) this.castEdits.hidden.push(name);
+    this.refreshCast();
+    this.showToast(`${name} hidden. Those lines use the dialogue voice.`);
+  }
+
+  restoreCastMember(name) {
+    this.castEdits.hidden = this.castEdits.hidden.filter(hidden => hidden !== name);
+    this.refreshCast();
+  }
+
+  splitCastAlias(alias) {
+    delete this.castEdits.aliases[alias];
+    this.refreshCast();
+    this.showToast(`${alias} is a separate character again.`);
+  }
+
+  resetCast() {
+    if (!window.confirm('Undo every cast change for this book, including reassigned lines?')) return;
+    this.castEdits = emptyCastEdits();
+    this.castProfiles.clear();
+    this.refreshCast();
+    this.showToast('Cast reset to the detected speakers.');
+  }
+
+  castLineKey(unitIndex, segmentIndex) {
+    const unit = this.units[unitIndex];
+    const target = unit?.segments[segmentIndex];
+    let found = '';
+    forEachDialogueLine(this.units.filter(candidate => candidate.page === unit?.page), (segment, key) => {
+      if (segment === target) found = key;
+    });
+    return found;
+  }
+
+  // A line given back to the speaker detection found drops its override.
+  changeLineSpeaker(segmentIndex = this.selectedSegmentIndex()) {
+    const segment = this.units[this.currentUnitIndex]?.segments[segmentIndex];
+    if (!segment) return;
+    if (segment.type !== 'dialogue') {
+      this.showToast('Choose a line of dialogue to change who says it.');
+      return;
+    }
+
+    const names = this.detectedSpeakers.slice(0, 12).map(speaker => speaker.name);
+    const cast = names.length ? `\nCast: ${names.join(', ')}${this.detectedSpeakers.length > names.length ? '…' : ''}` : '';
+    const answer = window.prompt(`Who says this line? Leave it empty if nobody should be named.${cast}`, segment.speaker || '');
+    if (answer === null) return;
+    const name = this.castName(answer);
+    const key = this.castLineKey(this.currentUnitIndex, segmentIndex);
+    // Confirming a guessed speaker is kept as an edit so the line stops being marked as uncertain.
+    const confident = (segment.detectedConfidence ?? 1) >= LOW_SPEAKER_CONFIDENCE;
+    if (confident && name === (this.resolveSpeaker(segment.detectedSpeaker) || '')) delete this.castEdits.lines[key];
+    else this.castEdits.lines[key] = name;
+    if (name) this.castEdits.hidden = this.castEdits.hidden.filter(hidden => hidden !== name);
+    window.getSelection?.().removeAllRanges();
+    this.refreshCast();
+    this.showToast(name ? `Line given to ${name}.` : 'Speaker removed from this line.');
+  }
+
+  renderCastEditor() {
+    if (!this.castEditorList) return;
+    const names = this.detectedSpeakers.map(speaker => speaker.name);
+    const aliasesOf = new Map();
+    Object.keys(this.castEdits.aliases).forEach(alias => {
+      const target = this.resolveSpeaker(alias);
+      if (target && target !== alias) aliasesOf.set(target, [...(aliasesOf.get(target) || []), alias]);
+    });
+    const edited = Object.keys(this.castEdits.aliases).length + this.castEdits.hidden.length
+      + this.castEdits.added.length + Object.keys(this.castEdits.lines).length;
+    if (this.resetCastBtn) this.resetCastBtn.disabled = !edited;
+
+    this.castEditorList.innerHTML = '';
+    if (!names.length) {
+      const empty = document.createElement('li');
+      empty.className = 'empty-cast';
+      empty.textContent = 'No characters yet. Add one here, or name the speaker of a line in the reading text.';
+      this.castEditorList.appendChild(empty);
+    }
+
+    this.detectedSpeakers.forEach(({ name, count }) => {
+      const item = document.createElement('li');
+      item.className = 'cast-editor-item';
+
+      const info = document.createElement('div');
+      const title = document.createElement('strong');
+      title.textContent = name;
+      const detail = document.createElement('small');
+      detail.textContent = count ? `${count.toLocaleString()} line${count === 1 ? '' : 's'}` : 'Added by hand';
+      info.append(title, detail);
+
+      const aliases = aliasesOf.get(name) || [];
+      if (aliases.length) {
+        const aliasRow = document.createElement('div');
+        aliasRow.className = 'cast-aliases';
+        aliasRow.append('Also:');
+        aliases.forEach(alias => {
+          const split = document.createElement('button');
+          split.type = 'button';
+          split.className = 'mini-btn';
+          split.textContent = `${alias} ✕`;
+          split.setAttribute('aria-label', `Separate ${alias} from ${name}`);
+          split.addEventListener('click', () => this.splitCastAlias(alias));
+          aliasRow.appendChild(split);
+        });
+        info.appendChild(aliasRow);
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'notes-actions';
+      const rename = document.createElement('button');
+      rename.type = 'button';
+      rename.className = 'mini-btn';
+      rename.textContent = 'Rename';
+      rename.addEventListener('click', () => this.renameCastMember(name));
+
+      const merge = document.createElement('select');
+      merge.setAttribute('aria-label', `Merge ${name} into another character`);
+      merge.appendChild(new Option('Merge into…', ''));
+      names.filter(other => other !== name).forEach(other => merge.appendChild(new Option(other, other)));
+      merge.disabled = names.length < 2;
+      merge.addEventListener('change', () => this.mergeCastMember(name, merge.value));
+
+      const hide = document.createElement('button');
+      hide.type = 'button';
+      hide.className = 'mini-btn';
+      hide.textContent = 'Hide';
+      hide.title = 'Not a character';
+      hide.addEventListener('click', () => this.hideCastMember(name));
+
+      actions.append(rename, merge, hide);
+      item.append(info, actions);
+      this.castEditorList.appendChild(item);
+    });
+
+    if (!this.castHidden) return;
+    this.castHidden.innerHTML = '';
+    this.castHidden.classList.toggle('hidden', !this.castEdits.hidden.length);
+    if (!this.castEdits.hidden.length) return;
+    this.castHidden.append('Hidden:');
+    this.castEdits.hidden.forEach(name => {
+      const restore = document.createElement('button');
+      restore.type = 'button';
+      restore.className = 'mini-btn';
+      restore.textContent = `${name} ↺`;
+      restore.setAttribute('aria-label', `Show ${name} as a character again`);
+      restore.addEventListener('click', () => this.restoreCastMember(name));
+      this.castHidden.appendChild(restore);
+    });
+  }
+
+  // Characters share out the voices first; once every voice is in use they are spread across pitch and speed as well.
+  assignDefaultCharacterVoices() {
+    if (!this.voices.length) return;
+    const others = this.getSortedVoices().filter(voice => voice.name !== this.narratorVoice?.name);
+    const candidates = others.length ? others : this.getSortedVoices();
+    this.detectedSpeakers.forEach((speaker, index) => {
+      if (this.castProfiles.has(speaker.name)) return;
+      // With only the narrator's voice, even the first character needs a different pitch.
+      const round = Math.floor(index / candidates.length) + (others.length ? 0 : 1);
+      const spread = CHARACTER_SPREAD[round % CHARACTER_SPREAD.length];
+      const fallback = candidates[index % candidates.length].name;
+      const profile = { voice: fallback, pitch: spread.pitch, rate: spread.rate, volume: 1, style: '', ...ownValue(this.castEdits.profiles, speaker.name) };
+      if (!this.voices.some(voice => voice.name === profile.voice)) profile.voice = fallback;
+      this.castProfiles.set(speaker.name, profile);
+    });
+  }
+
+  updateCastProfile(name, changes) {
+    const profile = { ...this.castProfiles.get(name), ...changes };
+    this.castProfiles.set(name, profile);
+    this.castEdits.profiles[name] = profile;
+    this.saveCastEdits();
+    this.castRevision += 1;
+    this.updateBookStats();
+    if (this.isPlaying) this.restartCurrentSegment();
+  }
+
+  previewCastProfile(name) {
+    const profile = this.castProfiles.get(name);
+    const voice = profile && this.voices.find(candidate => candidate.name === profile.voice);
+    if (!this.speechEngine?.available || !voice) {
+      this.showToast('Voice preview is unavailable in this browser.');
+      return;
+    }
+
+    this.pause(false);
+    this.speechEngine.unlock?.();
+    this.speechEngine.speak('I was hoping you would say that.', { voice, ...this.applyCastProfile(profile) }, {
+      onerror: event => this.reportPreviewError(event)
+    });
+  }
+
+  renderCastList() {
+    if (!this.castList || !this.castCount) return;
+    this.castCount.textContent = String(this.detectedSpeakers.length);
+
+    if (!this.detectedSpeakers.length) {
+      this.castList.innerHTML = '<div class="empty-cast">No named speakers detected yet.</div>';
+      return;
+    }
+
+    const voices = this.getSortedVoices();
+    this.castList.innerHTML = '';
+
+    this.detectedSpeakers.forEach(({ name, count }) => {
+      const profile = this.castProfiles.get(name);
+      const row = document.createElement('div');
+      row.className = 'cast-row';
+
+      const nameWrap = document.createElement('div');
+      nameWrap.className = 'cast-name';
+      nameWrap.title = `${name} • ${count} detected line${count === 1 ? '' : 's'}`;
+      nameWrap.textContent = name;
+
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', `Voice for ${name}`);
+      const current = profile?.voice || '';
+
+      voices.forEach(voice => {
+        const option = document.createElement('option');
+        option.value = voice.name;
+        option.textContent = voice.name;
+        select.appendChild(option);
+      });
+
+      if (current && voices.some(voice => voice.name === current)) select.value = current;
+      select.addEventListener('change', () => this.updateCastProfile(name, { voice: select.value }));
+
+      const expanded = this.tunedCastName === name;
+      const tune = document.createElement('button');
+      tune.type = 'button';
+      tune.className = 'mini-btn';
+      tune.textContent = 'Tune';
+      tune.setAttribute('aria-expanded', String(expanded));
+      tune.setAttribute('aria-label', `Pitch, speed and style for ${name}`);
+      tune.addEventListener('click', () => {
+        this.tunedCastName = expanded ? '' : name;
+        this.renderCastList();
+      });
+
+      row.append(nameWrap, select, tune);
+      if (expanded && profile) row.appendChild(this.castProfileControls(name, profile));
+      this.castList.appendChild(row);
+    });
+  }
+
+  castProfileControls(name, profile) {
+    const wrap = document.createElement('div');
+    wrap.className = 'cast-profile';
+    const slider = (label, key, min, max, step, format) => {
+      const row = document.createElement('label');
+      row.className = 'control-row';
+      const title = document.createElement('span');
+      title.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = String(min);
+      input.max = String(max);
+      input.step = String(step);
+      input.value = String(profile[key]);
+      input.setAttribute('aria-label', `${label} for ${name}`);
+      const value = document.createElement('strong');
+      value.textContent = format(Number(profile[key]));
+      input.addEventListener('input', () => {
+        value.textContent = format(Number(input.value));
+        this.updateCastProfile(name, { [key]: Number(input.value) });
+      });
+      row.append(title, input, value);
+      return { row, input };
+    };
+
+    const pitch = slider('Pitch', 'pitch', -0.3, 0.3, 0.02, value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`);
+    pitch.input.disabled = this.speechEngine?.supportsPitch === false;
+    const rate = slider('Speed', 'rate', 0.75, 1.35, 0.05, value => `${value.toFixed(2)}×`);
+    const volume = slider('Volume', 'volume', 0.3, 1, 0.05, value => `${Math.round(value * 100)}%`);
+
+    const styleRow = document.createElement('label');
+    styleRow.className = 'select-row';
+    const styleTitle = document.createElement('span');
+    styleTitle.textContent = 'Style';
+    const style = document.createElement('select');
+    style.setAttribute('aria-label', `Style for ${name}`);
+    style.appendChild(new Option('Normal', ''));
+    Object.entries(CHARACTER_STYLES).forEach(([id, entry]) => style.appendChild(new Option(entry.label, id)));
+    style.value = CHARACTER_STYLES[profile.style] ? profile.style : '';
+    style.addEventListener('change', () => this.updateCastProfile(name, { style: style.value }));
+    styleRow.append(styleTitle, style);
+
+    const preview = document.createElement('button');
+    preview.type = 'button';
+    preview.className = 'mini-btn';
+    preview.textContent = `Preview ${name}`;
+    preview.addEventListener('click', () => this.previewCastProfile(name));
+
+    wrap.append(pitch.row, rate.row, volume.row, styleRow, preview);
+    return wrap;
+  }
+
+  updateBookStats() {
+    const words = this.units.reduce((sum, unit) => sum + unit.words, 0) + this.estimatedPendingWords();
+    const minutes = words ? Math.max(1, Math.round(this.estimatedTotalSeconds() / 60)) : 0;
+    if (this.bookWords) this.bookWords.textContent = `${words.toLocaleString()} words`;
+    if (this.bookTime) this.bookTime.textContent = minutes ? `~${this.formatMinutes(minutes)}` : 'No narration text';
+  }
+
+  formatMinutes(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return mins ? `${hours} hr ${mins} min` : `${hours} hr`;
+  }
+
+  readSavedPosition(libraryBook = null) {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(POSITION_KEY_PREFIX + this.fileKey) || 'null');
+    } catch {
+      saved = null;
+    }
+    if (!saved && libraryBook) saved = { unitIndex: libraryBook.unitIndex };
+    return { unitIndex: Math.max(0, Number(saved?.unitIndex) || 0) };
+  }
+
+  restoreBookPosition(libraryBook = null) {
+    if (!this.units.length) {
+      this.currentUnitIndex = 0;
+      this.currentSegmentIndex = 0;
+      return;
+    }
+
+    this.currentUnitIndex = clamp(this.readSavedPosition(libraryBook).unitIndex, 0, this.units.length - 1);
+    this.currentSegmentIndex = 0;
+  }
+
+  saveBookPosition() {
+    if (!this.fileKey || !this.units.length) return;
+    try {
+      localStorage.setItem(POSITION_KEY_PREFIX + this.fileKey, JSON.stringify({
+        unitIndex: this.currentUnitIndex,
+        updatedAt: Date.now()
+      }));
+    } catch {
+      // Position persistence is optional.
+    }
+
+    if (this.library.available && this.currentUnitIndex !== this.libraryUnitIndex) {
+      this.libraryUnitIndex = this.currentUnitIndex;
+      this.library.updateBook(this.fileKey, {
+        unitIndex: this.currentUnitIndex,
+        progress: this.currentUnitIndex / this.units.length,
+        openedAt: Date.now()
+      }).catch(() => {});
+    }
+  }
+
+  loadLexicon() {
+    const read = key => {
+      try {
+        const saved = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(saved) ? saved : [];
+      } catch {
+        return [];
+      }
+    };
+    this.lexiconRules = { global: read(LEXICON_KEY), book: read(LEXICON_KEY_PREFIX + this.fileKey) };
+    this.lexicon = compileLexicon([...this.lexiconRules.book, ...this.lexiconRules.global]);
+    this.renderLexicon();
+  }
+
+  saveLexicon(scope) {
+    try {
+      const key = scope === 'global' ? LEXICON_KEY : LEXICON_KEY_PREFIX + this.fileKey;
+      localStorage.setItem(key, JSON.stringify(this.lexiconRules[scope]));
+    } catch {
+      this.showToast('Could not save pronunciation rules on this device.');
+    }
+    // Book rules come first so they can override a global respelling of the same word.
+    this.lexicon = compileLexicon([...this.lexiconRules.book, ...this.lexiconRules.global]);
+    this.renderLexicon();
+  }
+
+  lexiconFormRule() {
+    return {
+      match: this.lexiconMatch?.value.trim() || '',
+      say: this.lexiconSay?.value.trim() || '',
+      regex: Boolean(this.lexiconRegex?.checked)
+    };
+  }
+
+  addLexiconRule() {
+    const rule = this.lexiconFormRule();
+    if (!rule.match) {
+      this.showToast('Enter the word or pattern to change.');
+      return;
+    }
+    if (!compileLexicon([rule]).length) {
+      this.showToast('That pattern is not a valid regular expression.');
+      return;
+    }
+
+    const scope = this.lexiconScope?.value === 'global' ? 'global' : 'book';
+    const rules = this.lexiconRules[scope].filter(item => item.match !== rule.match || Boolean(item.regex) !== rule.regex);
+    this.lexiconRules[scope] = [...rules, rule];
+    this.saveLexicon(scope);
+    if (this.lexiconMatch) this.lexiconMatch.value = '';
+    if (this.lexiconSay) this.lexiconSay.value = '';
+    this.showToast('Pronunciation rule saved.');
+  }
+
+  removeLexiconRule(scope, rule) {
+    this.lexiconRules[scope] = this.lexiconRules[scope].filter(item => item !== rule);
+    this.saveLexicon(scope);
+  }
+
+  previewLexiconRule(rule) {
+    if (!this.speechEngine?.available) {
+      this.showToast('Voice preview is unavailable in this browser.');
+      return;
+    }
+    const lexicon = compileLexicon([rule]);
+    if (!rule.match || !lexicon.length) {
+      this.showToast(rule.match ? 'That pattern is not a valid regular expression.' : 'Enter the word or pattern to preview.');
+      return;
+    }
+
+    const sample = this.lexiconSample?.value.trim() || (rule.regex ? '' : rule.match);
+    if (!sample) {
+      this.showToast('Type a test sentence to preview a pattern.');
+      return;
+    }
+    this.pause(false);
+    this.speechEngine.unlock?.();
+    this.speechEngine.speak(applyLexicon(sample, lexicon).text, {
+      voice: this.narratorVoice,
+      rate: this.speechRate,
+      pitch: this.speechPitch,
+      volume: this.speechVolume
+    }, { onerror: event => this.reportPreviewError(event) });
+  }
+
+  renderLexicon() {
+    const count = this.lexiconRules.global.length + this.lexiconRules.book.length;
+    if (this.toggleLexiconBtn) this.toggleLexiconBtn.textContent = count ? `Pronunciation (${count})` : 'Pronunciation';
+    if (!this.lexiconList) return;
+    const scope = this.lexiconScope?.value === 'global' ? 'global' : 'book';
+    const rules = this.lexiconRules[scope];
+    this.lexiconList.innerHTML = '';
+    if (this.exportLexiconBtn) this.exportLexiconBtn.disabled = !rules.length;
+
+    if (!rules.length) {
+      this.lexiconList.innerHTML = `<li class="empty-cast">No rules for ${scope === 'global' ? 'all books' : 'this book'} yet.</li>`;
+      return;
+    }
+
+    rules.forEach(rule => {
+      const item = document.createElement('li');
+      item.className = 'lexicon-item';
+      const text = document.createElement('span');
+      const match = document.createElement('code');
+      match.textContent = rule.match;
+      const say = document.createElement('strong');
+      say.textContent = rule.say || '(silent)';
+      text.append(match, ' → ', say);
+      if (rule.regex) {
+        const badge = document.createElement('small');
+        badge.textContent = 'regex';
+        text.append(' ', badge);
+      }
+
+      const preview = document.createElement('button');
+      preview.type = 'button';
+      preview.className = 'mini-btn';
+      preview.textContent = 'Preview';
+      preview.addEventListener('click', () => this.previewLexiconRule(rule));
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'mini-btn';
+      remove.textContent = 'Delete';
+      remove.setAttribute('aria-label', `Delete the rule for ${rule.match}`);
+      remove.addEventListener('click', () => this.removeLexiconRule(scope, rule));
+
+      item.append(text, preview, remove);
+      this.lexiconList.appendChild(item);
+    });
+  }
+
+  exportLexicon() {
+    const scope = this.lexiconScope?.value === 'global' ? 'global' : 'book';
+    const rules = this.lexiconRules[scope];
+    if (!rules.length) return;
+    const title = scope === 'global' ? 'All books' : (this.bookName?.textContent || 'Book');
+    const fileName = title.replace(/[\\/:*?"<>|]+/g, '').trim() || 'book';
+    const payload = { type: 'pdf-story-reader-lexicon', version: 1, title, rules };
+    downloadFile(`${fileName} pronunciation.json`, 'application/json', JSON.stringify(payload, null, 2));
+  }
+
+  async importLexicon(file) {
+    if (!file) return;
+    const scope = this.lexiconScope?.value === 'global' ? 'global' : 'book';
+    try {
+      const parsed = JSON.parse(await file.text());
+      const incoming = (Array.isArray(parsed) ? parsed : parsed?.rules || [])
+        .filter(rule => typeof rule?.match === 'string' && rule.match)
+        .map(rule => ({ match: rule.match, say: String(rule.say ?? ''), regex: Boolean(rule.regex) }));
+      if (!incoming.length) throw new Error('No rules found.');
+
+      const replaced = rule => incoming.some(item => item.match === rule.match && item.regex === Boolean(rule.regex));
+      this.lexiconRules[scope] = [...this.lexiconRules[scope].filter(rule => !replaced(rule)), ...incoming];
+      this.saveLexicon(scope);
+      const skipped = incoming.length - compileLexicon(incoming).length;
+      this.showToast(`Imported ${incoming.length} rule${incoming.length === 1 ? '' : 's'}${skipped ? `, ${skipped} with invalid patterns` : ''}.`);
+    } catch (error) {
+      console.warn('Could not import pronunciation rules:', error);
+      this.showToast('That file does not contain pronunciation rules.');
+    } finally {
+      if (this.lexiconFile) this.lexiconFile.value = '';
+    }
+  }
+
+  readAnnotations() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(ANNOTATIONS_KEY_PREFIX + this.fileKey) || '[]');
+      return Array.isArray(saved) ? saved : [];
+    } catch {
+      return [];
+    }
+  }
+
+  saveAnnotations() {
+    try {
+      localStorage.setItem(ANNOTATIONS_KEY_PREFIX + this.fileKey, JSON.stringify(this.annotations));
+    } catch {
+      this.showToast('Could not save notes on this device.');
+    }
+    this.renderAnnotations();
+  }
+
+  findAnnotation(unitIndex, segmentIndex, type) {
+    return this.annotations.find(annotation => annotation.unitIndex === unitIndex
+      && annotation.type === type
+      && (segmentIndex === null || annotation.segmentIndex === segmentIndex));
+  }
+
+  // A selection in the reading text picks the segment; otherwise the one being read.
+  selectedSegmentIndex() {
+    const selection = window.getSelection?.();
+    const node = selection && !selection.isCollapsed ? selection.anchorNode : null;
+    const span = (node?.nodeType === 1 ? node : node?.parentElement)?.closest?.('[data-segment]');
+    return span && this.currentText?.contains(span) ? Number(span.dataset.segment) || 0 : this.currentSegmentIndex;
+  }
+
+  createAnnotation(type, segmentIndex, note = '') {
+    const unit = this.units[this.currentUnitIndex];
+    const segment = unit.segments[segmentIndex];
+    const text = type === 'bookmark' ? unit.text : segment.text;
+    return {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      type,
+      unitIndex: this.currentUnitIndex,
+      segmentIndex,
+      page: unit.page,
+      text: text.length > 160 ? `${text.slice(0, 157)}…` : text,
+      note,
+      createdAt: Date.now()
+    };
+  }
+
+  addBookmark() {
+    if (!this.units[this.currentUnitIndex]) return;
+    if (this.findAnnotation(this.currentUnitIndex, null, 'bookmark')) {
+      this.showToast('This passage is already bookmarked.');
+      return;
+    }
+    this.annotations.push(this.createAnnotation('bookmark', this.currentSegmentIndex));
+    this.saveAnnotations();
+    this.showToast(`Bookmarked page ${this.units[this.currentUnitIndex].page}.`);
+  }
+
+  toggleHighlight() {
+    if (!this.units[this.currentUnitIndex]) return;
+    const segmentIndex = this.selectedSegmentIndex();
+    const existing = this.findAnnotation(this.currentUnitIndex, segmentIndex, 'highlight');
+    if (existing) this.annotations = this.annotations.filter(annotation => annotation !== existing);
+    else this.annotations.push(this.createAnnotation('highlight', segmentIndex));
+    window.getSelection?.().removeAllRanges();
+    this.saveAnnotations();
+    this.updateDisplay();
+    this.showToast(existing ? 'Highlight removed.' : 'Highlighted.');
+  }
+
+  addNote() {
+    if (!this.units[this.currentUnitIndex]) return;
+    const segmentIndex = this.selectedSegmentIndex();
+    const note = window.prompt('Note for this passage');
+    if (!note?.trim()) return;
+    this.annotations.push(this.createAnnotation('note', segmentIndex, note.trim()));
+    window.getSelection?.().removeAllRanges();
+    this.saveAnnotations();
+    this.showToast('Note saved.');
+  }
+
+  deleteAnnotation(id) {
+    this.annotations = this.annotations.filter(annotation => annotation.id !== id);
+    this.saveAnnotations();
+    this.updateDisplay();
+  }
+
+  // Unit indexes shift when the book's text is rebuilt; the saved page and snippet find the passage again.
+  resolveAnnotation(annotation) {
+    const probe = normalizeToken(annotation.text.replace(/…$/, '')).slice(0, 40);
+    const matches = (unit, segmentIndex) => {
+      const text = annotation.type === 'bookmark' ? unit?.text : unit?.segments[segmentIndex]?.text;
+      return Boolean(text) && normalizeToken(text).includes(probe);
+    };
+    if (matches(this.units[annotation.unitIndex], annotation.segmentIndex)) {
+      return { unitIndex: annotation.unitIndex, segmentIndex: annotation.segmentIndex };
+    }
+
+    for (let unitIndex = 0; unitIndex < this.units.length; unitIndex += 1) {
+      const unit = this.units[unitIndex];
+      if (unit.page !== annotation.page) continue;
+      const segmentIndex = unit.segments.findIndex((segment, index) => matches(unit, index));
+      if (segmentIndex >= 0) return { unitIndex, segmentIndex: annotation.type === 'bookmark' ? 0 : segmentIndex };
+    }
+
+    const unitIndex = this.units.findIndex(unit => unit.page >= annotation.page);
+    return unitIndex >= 0 ? { unitIndex, segmentIndex: 0 } : null;
+  }
+
+  reanchorAnnotations() {
+    let changed = false;
+    this.annotations.forEach(annotation => {
+      const found = this.resolveAnnotation(annotation);
+      if (!found || (found.unitIndex === annotation.unitIndex && found.segmentIndex === annotation.segmentIndex)) return;
+      Object.assign(annotation, found);
+      changed = true;
+    });
+    if (changed) this.saveAnnotations();
+  }
+
+  goToAnnotation(annotation) {
+    const found = this.resolveAnnotation(annotation);
+    if (!found) {
+      this.showToast(this.extracting ? 'That page is still being prepared. Try again in a moment.' : 'That passage is no longer in this book.');
+      return;
+    }
+    this.moveNarrationTo(found.unitIndex, found.segmentIndex);
+  }
+
+  sortedAnnotations() {
+    return [...this.annotations].sort((a, b) => a.unitIndex - b.unitIndex || a.segmentIndex - b.segmentIndex || a.createdAt - b.createdAt);
+  }
+
+  renderAnnotations() {
+    if (this.toggleNotesBtn) this.toggleNotesBtn.textContent = this.annotations.length ? `Notes (${this.annotations.length})` : 'Notes';
+    [this.exportNotesMarkdown, this.exportNotesJson].forEach(button => {
+      if (button) button.disabled = !this.annotations.length;
+    });
+    if (!this.notesList) return;
+    this.notesList.innerHTML = '';
+
+    if (!this.annotations.length) {
+      this.notesList.innerHTML = '<li class="empty-cast">No bookmarks, highlights or notes yet.</li>';
+      return;
+    }
+
+    const labels = { bookmark: 'Bookmark', highlight: 'Highlight', note: 'Note' };
+    this.sortedAnnotations().forEach(annotation => {
+      const item = document.createElement('li');
+      item.className = `note-item ${annotation.type}`;
+
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = 'note-open';
+      const meta = document.createElement('small');
+      meta.textContent = `${labels[annotation.type]} · ${this.pageLabel()} ${annotation.page}`;
+      const quote = document.createElement('span');
+      quote.textContent = annotation.text;
+      open.append(meta, quote);
+      if (annotation.note) {
+        const note = document.createElement('strong');
+        note.textContent = annotation.note;
+        open.appendChild(note);
+      }
+      open.addEventListener('click', () => this.goToAnnotation(annotation));
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'mini-btn';
+      remove.textContent = 'Delete';
+      remove.setAttribute('aria-label', `Delete ${labels[annotation.type].toLowerCase()} on page ${annotation.page}`);
+      remove.addEventListener('click', () => this.deleteAnnotation(annotation.id));
+
+      item.append(open, remove);
+      this.notesList.appendChild(item);
+    });
+  }
+
+  exportAnnotations(format) {
+    if (!this.annotations.length) return;
+    const title = this.bookName?.textContent || 'Book';
+    const fileName = title.replace(/[\\/:*?"<>|]+/g, '').trim() || 'book';
+    const annotations = this.sortedAnnotations();
+
+    if (format === 'json') {
+      const payload = { title, fileKey: this.fileKey, exportedAt: new Date().toISOString(), annotations };
+      downloadFile(`${fileName} notes.json`, 'application/json', JSON.stringify(payload, null, 2));
+      return;
+    }
+
+    const labels = { bookmark: 'Bookmark', highlight: 'Highlight', note: 'Note' };
+    const lines = [`# ${title}`, ''];
+    let page = 0;
+    annotations.forEach(annotation => {
+      if (annotation.page !== page) {
+        page = annotation.page;
+        lines.push(`## ${this.pageLabel()} ${page}`, '');
+      }
+      lines.push(`- **${labels[annotation.type]}:** “${annotation.text}”`);
+      if (annotation.note) lines.push(`  > ${annotation.note.replace(/\n/g, '\n  > ')}`);
+    });
+    lines.push('');
+    downloadFile(`${fileName} notes.md`, 'text/markdown', lines.join('\n'));
+  }
+
+  // PDFs render page images; other formats show their text in the viewer and count sections instead of pages.
+  updateViewerMode() {
+    const isDocument = Boolean(this.source) && !this.pdfDoc;
+    const label = this.pageLabel();
+    this.pageStage?.classList.toggle('document-mode', isDocument);
+    this.documentView?.classList.toggle('hidden', !isDocument);
+    this.showLayoutCheckbox?.closest('label')?.classList.toggle('hidden', isDocument);
+    if (this.pageNumberLabel) this.pageNumberLabel.textContent = label;
+    this.prevPage?.setAttribute('aria-label', `Previous ${label.toLowerCase()}`);
+    this.nextPage?.setAttribute('aria-label', `Next ${label.toLowerCase()}`);
+    if (this.documentView && !isDocument) this.documentView.innerHTML = '';
+  }
+
+  pageLabel() {
+    return this.source?.pageLabel || 'Page';
+  }
+
+  async renderPage(pageNumber, force = false) {
+    if (this.source && !this.pdfDoc) {
+      await this.renderDocumentPage(pageNumber, force);
+      return;
+    }
+    if (!this.pdfDoc || !this.pdfCanvas || !this.canvasContext) return;
+    const page = clamp(Math.round(pageNumber), 1, this.pdfDoc.numPages);
+    if (!force && page === this.lastRenderedPage) return;
+
+    this.viewerPage = page;
+    if (this.pageNumber) this.pageNumber.value = String(page);
+    this.pageRenderStatus?.classList.remove('hidden');
+    if (this.highlightLayer) this.highlightLayer.innerHTML = '';
+    if (this.layoutLayer) this.layoutLayer.innerHTML = '';
+    this.clearTextLayer();
+
+    try {
+      if (this.renderTask) {
+        try {
+          this.renderTask.cancel();
+        } catch {
+          // Nothing to cancel.
+        }
+      }
+
+      const pdfPage = await this.pdfDoc.getPage(page);
+      const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+      this.renderTask = this.startPageRender(pdfPage, this.pdfCanvas, this.pageZoom / 100, pixelRatio);
+      await this.renderTask.promise;
+      this.lastRenderedPage = page;
+      this.pageViewport = pdfPage.getViewport({ scale: this.pageZoom / 100 });
+      this.drawPageHighlight();
+      await this.renderTextLayer(pdfPage);
+      if (this.showLayoutCheckbox?.checked) await this.drawLayoutOverlay(pdfPage);
+    } catch (error) {
+      if (error?.name !== 'RenderingCancelledException') {
+        console.error('Page render failed:', error);
+        this.showToast('The page viewer could not render that page.');
+      }
+    } finally {
+      this.pageRenderStatus?.classList.add('hidden');
+    }
+  }
+
+  // The section's paragraphs, with each narration unit wrapped so it can be highlighted and tapped.
+  async renderDocumentPage(pageNumber, force = false) {
+    if (!this.documentView) return;
+    const page = clamp(Math.round(pageNumber), 1, this.source.pageCount);
+    if (!force && page === this.lastRenderedPage) return;
+
+    this.viewerPage = page;
+    if (this.pageNumber) this.pageNumber.value = String(page);
+    this.documentView.style.fontSize = `${this.pageZoom}%`;
+    try {
+      const content = await this.source.getPageContent(page);
+      if (page !== this.viewerPage) return;
+
+      const unitIndexes = [];
+      this.units.forEach((unit, unitIndex) => {
+        if (unit.page === page) unitIndexes.push(unitIndex);
+      });
+      const headings = new Set(content.headings.map(normalizeToken));
+      this.documentView.innerHTML = '';
+      this.documentView.lang = this.units[unitIndexes[0]]?.lang || this.bookLanguage || '';
+      content.text.split(/\n\s*\n/).map(normalizeSpaces).filter(Boolean).forEach(paragraph => {
+        const element = document.createElement(headings.has(normalizeToken(paragraph)) ? 'h4' : 'p');
+        // A paragraph's units follow each other in order, so they are taken until the paragraph is covered.
+        let covered = 0;
+        while (unitIndexes.length && covered < paragraph.length) {
+          const unitIndex = unitIndexes.shift();
+          const unit = this.units[unitIndex];
+          const span = document.createElement('span');
+          span.className = 'document-unit';
+          span.dataset.unit = String(unitIndex);
+          if (unit.lang) span.lang = unit.lang;
+          span.textContent = `${unit.text} `;
+          element.appendChild(span);
+          covered += unit.text.length + 1;
+        }
+        if (!element.childNodes.length) element.textContent = paragraph;
+        this.documentView.appendChild(element);
+      });
+
+      this.lastRenderedPage = page;
+      if (this.pageStage) this.pageStage.scrollTop = 0;
+      this.drawPageHighlight();
+    } catch (error) {
+      console.error('Section render failed:', error);
+      this.showToast('The viewer could not show that section.');
+    }
+  }
+
+  handleDocumentTap(event) {
+    if (window.getSelection && !window.getSelection().isCollapsed) return;
+    const span = event.target.closest?.('.document-unit');
+    if (span) this.jumpToPosition(Number(span.dataset.unit));
+  }
+
+  startPageRender(pdfPage, canvas, cssScale, pixelRatio = 1) {
+    const baseViewport = pdfPage.getViewport({ scale: cssScale });
+    const renderViewport = pdfPage.getViewport({ scale: cssScale * pixelRatio });
+
+    canvas.width = Math.floor(renderViewport.width);
+    canvas.height = Math.floor(renderViewport.height);
+    canvas.style.width = `${Math.floor(baseViewport.width)}px`;
+    canvas.style.height = `${Math.floor(baseViewport.height)}px`;
+
+    const canvasContext = canvas === this.pdfCanvas ? this.canvasContext : canvas.getContext('2d', { alpha: false });
+    return pdfPage.render({ canvasContext, viewport: renderViewport });
+  }
+
+  clearTextLayer() {
+    try {
+      this.textLayerTask?.cancel();
+    } catch {
+      // Nothing to cancel.
+    }
+    this.textLayerTask = null;
+    if (this.textLayer) this.textLayer.innerHTML = '';
+  }
+
+  async renderTextLayer(pdfPage) {
+    if (!this.textLayer || !this.pageViewport || typeof pdfjsLib?.renderTextLayer !== 'function') return;
+    this.clearTextLayer();
+    this.textLayer.style.setProperty('--scale-factor', String(this.pageViewport.scale));
+
+    try {
+      this.textLayerTask = pdfjsLib.renderTextLayer({
+        textContentSource: pdfPage.streamTextContent(),
+        container: this.textLayer,
+        viewport: this.pageViewport,
+        textDivs: []
+      });
+      await this.textLayerTask.promise;
+    } catch (error) {
+      if (error?.name !== 'AbortException') console.warn('Text layer unavailable:', error);
+    }
+  }
+
+  handlePageTap(event) {
+    if (!this.units.length || !this.pageViewport || !this.lastRenderedPage) return;
+    if (window.getSelection && !window.getSelection().isCollapsed) return;
+
+    const box = this.textLayer.getBoundingClientRect();
+    const [x, y] = this.pageViewport.convertToPdfPoint(event.clientX - box.left, event.clientY - box.top);
+    const target = this.findSegmentAtPoint(this.lastRenderedPage, x, y);
+    if (!target) {
+      this.showToast(this.units.some(unit => unit.page === this.lastRenderedPage)
+        ? 'Tap on a line of text to read from there.'
+        : 'There is no narration text on this page.');
+      return;
     }
 
-    return (text.match(/[^.!?]+(?:[.!?]+[”"']?|$)/g) || [text])
-      .map(part => part.trim())
-      .filter(Boolean);
+    this.jumpToPosition(target.unitIndex, target.segmentIndex, target.offset);
   }
 
-  buildPerformanceSegments(text, context) {
-    const quotePattern = /([“"][^”"]{1,1200}[”"]|«[^»]{1,1200}»)/g;
-    const segments = [];
-    let lastIndex = 0;
-    let match;
-
-    while ((match = quotePattern.exec(text)) !== null) {
-      if (match.index > lastIndex) {
-        segments.push({ type: 'narration', text: text.slice(lastIndex, match.index), speaker: null });
-      }
+  findSegmentAtPoint(page, x, y) {
+    let best = null;
+    this.units.forEach((unit, unitIndex) => {
+      if (unit.page !== page) return;
+      unit.segments.forEach((segment, segmentIndex) => (segment.rects || []).forEach((rect, rectIndex) => {
+        const [left, bottom, width, height] = rect;
+        const dx = Math.max(left - x, 0, x - (left + width));
+        const dy = Math.max(bottom - y, 0, y - (bottom + height));
+        const distance = Math.hypot(dx, dy);
+        if (!best || distance < best.distance) best = { unitIndex, segmentIndex, rectIndex, distance };
+      }));
+    });
+    if (!best || best.distance > 24) return null;
+
+    // Spread the segment's characters over its line rectangles to estimate the tapped word.
+    const segment = this.units[best.unitIndex].segments[best.segmentIndex];
+    const totalWidth = segment.rects.reduce((sum, rect) => sum + rect[2], 0) || 1;
+    const before = segment.rects.slice(0, best.rectIndex).reduce((sum, rect) => sum + rect[2], 0);
+    const [left, , width] = segment.rects[best.rectIndex];
+    const along = before + clamp(x - left, 0, width);
+    const offset = Math.floor((along / totalWidth) * segment.text.length);
+    return { unitIndex: best.unitIndex, segmentIndex: best.segmentIndex, offset: wordStartAt(segment.text, offset) };
+  }
 
-      const before = text.slice(Math.max(0, match.index - 180), match.index);
-      const after = text.slice(match.index + match[0].length, match.index + match[0].length + 180);
-      const speaker = this.detectSpeaker(`${before} ${after}`) || this.inferDialogueSpeaker(context);
-      if (speaker) this.rememberSpeaker(context, speaker);
-      segments.push({ type: 'dialogue', text: match[0], speaker: speaker || null });
-      lastIndex = match.index + match[0].length;
-    }
+  handleTextTap(event) {
+    const span = event.target?.closest?.('.speech-segment');
+    if (!span || !this.units.length) return;
+    if (window.getSelection && !window.getSelection().isCollapsed) return;
 
-    if (lastIndex < text.length) {
-      segments.push({ type: 'narration', text: text.slice(lastIndex), speaker: null });
+    const segmentIndex = Number(span.dataset.segment) || 0;
+    const segment = this.units[this.currentUnitIndex]?.segments[segmentIndex];
+    if (!segment) return;
+    if (event.target.closest('.speaker-label')) {
+      this.changeLineSpeaker(segmentIndex);
+      return;
     }
-    if (!segments.length) segments.push({ type: 'narration', text, speaker: null });
-
-    return segments
-      .map(segment => ({ ...segment, text: normalizeSpaces(segment.text) }))
-      .filter(segment => segment.text);
+    const offset = this.caretOffsetInSegment(span, event.clientX, event.clientY);
+    this.jumpToPosition(this.currentUnitIndex, segmentIndex, wordStartAt(segment.text, offset));
   }
 
-  detectSpeaker(contextText) {
-    const verbs = 'said|asked|replied|answered|whispered|shouted|murmured|muttered|called|cried|added|continued|exclaimed|snapped|laughed|yelled|breathed|remarked|responded|insisted';
-    const properName = '([A-Z][a-z]{1,24}(?:\\s+[A-Z][a-z]{1,24})?)';
-    const patterns = [
-      new RegExp(`${properName}\\s+(?:${verbs})\\b`, 'g'),
-      new RegExp(`\\b(?:${verbs})\\s+${properName}`, 'g')
-    ];
-
-    let best = null;
-    for (const pattern of patterns) {
-      let match;
-      while ((match = pattern.exec(contextText)) !== null) {
-        const candidate = match[1];
-        if (candidate && !/^(He|She|They|I|We|You|It|His|Her|Their|The|A|An)$/i.test(candidate)) best = candidate;
+  caretOffsetInSegment(span, x, y) {
+    let node = null;
+    let offset = 0;
+    if (document.caretPositionFromPoint) {
+      const position = document.caretPositionFromPoint(x, y);
+      node = position?.offsetNode;
+      offset = position?.offset || 0;
+    } else if (document.caretRangeFromPoint) {
+      const range = document.caretRangeFromPoint(x, y);
+      node = range?.startContainer;
+      offset = range?.startOffset || 0;
+    }
+    if (!node || !span.contains(node)) return 0;
+
+    let total = 0;
+    const walker = document.createTreeWalker(span, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const current = walker.currentNode;
+      if (current.parentElement?.closest('.speaker-label')) {
+        if (current === node) return 0;
+        continue;
       }
+      if (current === node) return total + offset;
+      total += current.textContent.length;
     }
-    return best;
+    return 0;
   }
 
-  inferDialogueSpeaker(context) {
-    const recent = context.recentSpeakers.slice(-2);
-    if (recent.length < 2) return context.lastDialogueSpeaker;
-    const [a, b] = recent;
-    return context.lastDialogueSpeaker === b ? a : b;
-  }
+  jumpToPosition(unitIndex, segmentIndex = 0, charOffset = 0) {
+    const unit = this.units[unitIndex];
+    if (!unit) return;
 
-  rememberSpeaker(context, speaker) {
-    const name = speaker.trim();
-    context.recentSpeakers = context.recentSpeakers.filter(item => item !== name);
-    context.recentSpeakers.push(name);
-    context.recentSpeakers = context.recentSpeakers.slice(-4);
-    context.lastDialogueSpeaker = name;
+    this.pause(false);
+    this.currentUnitIndex = unitIndex;
+    this.currentSegmentIndex = clamp(segmentIndex, 0, unit.segments.length - 1);
+    this.pendingStartOffset = charOffset > 0
+      ? { unitIndex, segmentIndex: this.currentSegmentIndex, offset: charOffset }
+      : null;
+    this.followNarration = true;
+    if (this.followNarrationCheckbox) this.followNarrationCheckbox.checked = true;
+    this.updateDisplay();
+    this.saveBookPosition();
+    this.play();
   }
 
-  collectDetectedSpeakers() {
-    const counts = new Map();
-    this.units.forEach(unit => unit.segments.forEach(segment => {
-      if (segment.type === 'dialogue' && segment.speaker) {
-        counts.set(segment.speaker, (counts.get(segment.speaker) || 0) + 1);
-      }
-    }));
-
-    return Array.from(counts.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 16)
-      .map(([name, count]) => ({ name, count }));
+  openSearch() {
+    this.searchPanel?.classList.remove('hidden');
+    this.searchPanel?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.searchInput?.focus();
+    this.searchInput?.select();
   }
 
-  assignDefaultCharacterVoices() {
-    if (!this.voices.length) return;
-    const candidates = this.getSortedVoices().filter(voice => voice.name !== this.narratorVoice?.name);
-    this.detectedSpeakers.forEach((speaker, index) => {
-      if (!this.speakerVoiceNames.has(speaker.name) && candidates.length) {
-        this.speakerVoiceNames.set(speaker.name, candidates[index % candidates.length].name);
-      }
-    });
+  closeSearch() {
+    this.searchPanel?.classList.add('hidden');
+    this.searchIndex = -1;
+    this.renderSearchResults();
+    this.drawPageHighlight();
   }
 
-  renderCastList() {
-    if (!this.castList || !this.castCount) return;
-    this.castCount.textContent = String(this.detectedSpeakers.length);
+  clearSearch() {
+    clearTimeout(this.searchTimer);
+    if (this.searchInput) this.searchInput.value = '';
+    this.searchQuery = '';
+    this.searchNote = '';
+    this.searchResults = [];
+    this.searchIndex = -1;
+    this.renderSearchResults();
+  }
 
-    if (!this.detectedSpeakers.length) {
-      this.castList.innerHTML = '<div class="empty-cast">No named speakers detected yet.</div>';
+  // Searches the narration text, so every match can be read from. Offsets are in the unit's text.
+  runSearch() {
+    clearTimeout(this.searchTimer);
+    const query = this.searchInput?.value || '';
+    this.searchQuery = query;
+    this.searchResults = [];
+    this.searchIndex = -1;
+    this.searchNote = '';
+    if (!query.trim()) {
+      this.renderSearchResults();
+      this.drawPageHighlight();
       return;
     }
 
-    const voices = this.getSortedVoices();
-    this.castList.innerHTML = '';
-
-    this.detectedSpeakers.forEach(({ name, count }) => {
-      const row = document.createElement('div');
-      row.className = 'cast-row';
-
-      const nameWrap = document.createElement('div');
-      nameWrap.className = 'cast-name';
-      nameWrap.title = `${name} • ${count} detected line${count === 1 ? '' : 's'}`;
-      nameWrap.textContent = name;
-
-      const select = document.createElement('select');
-      select.setAttribute('aria-label', `Voice for ${name}`);
-      const current = this.speakerVoiceNames.get(name) || '';
-
-      voices.forEach(voice => {
-        const option = document.createElement('option');
-        option.value = voice.name;
-        option.textContent = voice.name;
-        select.appendChild(option);
+    let pattern;
+    try {
+      pattern = searchPattern(query, {
+        matchCase: Boolean(this.searchCase?.checked),
+        wholeWord: Boolean(this.searchWord?.checked),
+        regex: Boolean(this.searchRegex?.checked)
       });
+    } catch {
+      this.searchNote = 'That regular expression is not valid.';
+      this.renderSearchResults();
+      this.drawPageHighlight();
+      return;
+    }
 
-      if (current && voices.some(voice => voice.name === current)) select.value = current;
-      select.addEventListener('change', () => {
-        this.speakerVoiceNames.set(name, select.value);
-        if (this.isPlaying) this.restartCurrentSegment();
-      });
+    let truncated = false;
+    for (let unitIndex = 0; unitIndex < this.units.length && !truncated; unitIndex += 1) {
+      const unit = this.units[unitIndex];
+      for (const match of unit.text.matchAll(pattern)) {
+        // An empty match (a pattern like "a*") finds nothing to show.
+        if (!match[0]) continue;
+        if (this.searchResults.length >= SEARCH_RESULT_LIMIT) {
+          truncated = true;
+          break;
+        }
+        this.searchResults.push({ unit, unitIndex, page: unit.page, start: match.index, end: match.index + match[0].length });
+      }
+    }
 
-      row.append(nameWrap, select);
-      this.castList.appendChild(row);
+    // Start from the first match at or after the narration position.
+    const next = this.searchResults.findIndex(result => result.unitIndex >= this.currentUnitIndex);
+    this.searchNote = truncated ? `Showing the first ${SEARCH_RESULT_LIMIT} matches.` : '';
+    this.renderSearchResults();
+    if (this.searchResults.length) this.showSearchResult(next >= 0 ? next : 0);
+    else this.drawPageHighlight();
+  }
+
+  updateSearchStatus() {
+    const count = this.searchResults.length;
+    [this.searchPrevBtn, this.searchNextBtn].forEach(button => {
+      if (button) button.disabled = count < 2;
     });
+    if (this.searchReadBtn) this.searchReadBtn.disabled = this.searchIndex < 0;
+    if (!this.searchStatus) return;
+    const loading = this.extracting ? ' More pages are still loading.' : '';
+    let status = 'Type a word or phrase to find it in the book.';
+    if (this.searchQuery.trim()) {
+      status = count
+        ? `${this.searchIndex >= 0 ? `${this.searchIndex + 1} of ` : ''}${count} ${count === 1 ? 'match' : 'matches'}.${loading}`
+        : `No matches.${loading}`;
+    }
+    this.searchStatus.textContent = this.searchNote ? `${this.searchNote} ${status}` : status;
   }
 
-  updateBookStats() {
-    const words = this.units.reduce((sum, unit) => sum + unit.words, 0);
-    const minutes = words ? Math.max(1, Math.round(words / 155)) : 0;
-    if (this.bookWords) this.bookWords.textContent = `${words.toLocaleString()} words`;
-    if (this.bookTime) this.bookTime.textContent = minutes ? `~${this.formatMinutes(minutes)}` : 'No narration text';
+  renderSearchResults() {
+    this.updateSearchStatus();
+    if (!this.searchList) return;
+    this.searchList.innerHTML = '';
+
+    this.searchResults.forEach((result, index) => {
+      const item = document.createElement('li');
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = `search-result${index === this.searchIndex ? ' active' : ''}`;
+      const meta = document.createElement('small');
+      meta.textContent = `${this.pageLabel()} ${result.page}`;
+      const snippet = document.createElement('span');
+      const { text } = result.unit;
+      const from = Math.max(0, result.start - SEARCH_SNIPPET_CHARS);
+      const to = Math.min(text.length, result.end + SEARCH_SNIPPET_CHARS);
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(result.start, result.end);
+      snippet.append(
+        `${from > 0 ? '…' : ''}${text.slice(from, result.start)}`,
+        mark,
+        `${text.slice(result.end, to)}${to < text.length ? '…' : ''}`
+      );
+      if (result.unit.lang) snippet.lang = result.unit.lang;
+      open.append(meta, snippet);
+      open.addEventListener('click', () => this.showSearchResult(index));
+      item.appendChild(open);
+      this.searchList.appendChild(item);
+    });
   }
 
-  formatMinutes(minutes) {
-    if (minutes < 60) return `${minutes} min`;
-    const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-    return mins ? `${hours} hr ${mins} min` : `${hours} hr`;
+  // Results hold their unit, so a rebuilt text (OCR, skipped-text changes) is noticed and searched again.
+  currentSearchResult() {
+    const result = this.searchResults[this.searchIndex];
+    if (!result) return null;
+    if (this.units[result.unitIndex] === result.unit) return result;
+    const unitIndex = this.units.indexOf(result.unit);
+    if (unitIndex >= 0) return Object.assign(result, { unitIndex });
+    this.runSearch();
+    this.showToast('The book’s text has changed, so the search was run again.');
+    return null;
   }
 
-  restoreBookPosition() {
-    if (!this.units.length) {
-      this.currentUnitIndex = 0;
-      this.currentSegmentIndex = 0;
-      return;
-    }
+  stepSearchResult(direction) {
+    if (!this.searchResults.length) return;
+    const count = this.searchResults.length;
+    const index = this.searchIndex < 0 ? (direction > 0 ? 0 : count - 1) : (this.searchIndex + direction + count) % count;
+    this.showSearchResult(index);
+  }
 
-    let saved = null;
-    try {
-      saved = JSON.parse(localStorage.getItem(POSITION_KEY_PREFIX + this.fileKey) || 'null');
-    } catch {
-      saved = null;
-    }
+  // Shows the match in the page viewer without moving narration; Read from here does that.
+  showSearchResult(index) {
+    this.searchIndex = index;
+    const result = this.currentSearchResult();
+    if (!result) return;
+    this.updateSearchStatus();
+    this.searchList?.querySelectorAll('.search-result').forEach((button, position) => {
+      button.classList.toggle('active', position === index);
+      if (position === index) this.keepInView(this.searchList, button);
+    });
 
-    this.currentUnitIndex = clamp(Number(saved?.unitIndex) || 0, 0, this.units.length - 1);
-    this.currentSegmentIndex = 0;
+    this.followNarration = false;
+    if (this.followNarrationCheckbox) this.followNarrationCheckbox.checked = false;
+    this.revealSearchMatch = true;
+    if (result.page === this.lastRenderedPage) this.drawPageHighlight();
+    else this.renderPage(result.page, true);
   }
 
-  saveBookPosition() {
-    if (!this.fileKey || !this.units.length) return;
-    try {
-      localStorage.setItem(POSITION_KEY_PREFIX + this.fileKey, JSON.stringify({
-        unitIndex: this.currentUnitIndex,
-        updatedAt: Date.now()
-      }));
-    } catch {
-      // Position persistence is optional.
-    }
+  readSearchResult() {
+    const result = this.currentSearchResult();
+    if (!result) return;
+    const starts = segmentStarts(result.unit);
+    let segmentIndex = 0;
+    while (segmentIndex < starts.length - 1 && starts[segmentIndex + 1] <= result.start) segmentIndex += 1;
+    const segment = result.unit.segments[segmentIndex];
+    const offset = clamp(result.start - starts[segmentIndex], 0, Math.max(0, segment.text.length - 1));
+    this.jumpToPosition(result.unitIndex, segmentIndex, wordStartAt(segment.text, offset));
   }
 
-  async renderPage(pageNumber, force = false) {
-    if (!this.pdfDoc || !this.pdfCanvas || !this.canvasContext) return;
-    const page = clamp(Math.round(pageNumber), 1, this.pdfDoc.numPages);
-    if (!force && page === this.lastRenderedPage) return;
+  // The selected match drawn over the page: its share of each segment's line boxes, as the tap-to-read estimate does.
+  drawSearchMatch() {
+    const result = this.searchPanel?.classList.contains('hidden') ? null : this.searchResults[this.searchIndex];
+    if (!result || !this.highlightLayer || !this.pageViewport || result.page !== this.lastRenderedPage) return;
+
+    let first = null;
+    const starts = segmentStarts(result.unit);
+    result.unit.segments.forEach((segment, index) => {
+      const from = Math.max(result.start - starts[index], 0);
+      const to = Math.min(result.end - starts[index], segment.text.length);
+      if (to <= from || !segment.rects?.length) return;
+
+      const length = segment.text.length || 1;
+      const totalWidth = segment.rects.reduce((sum, rect) => sum + rect[2], 0);
+      const [startAlong, endAlong] = [from, to].map(offset => (offset / length) * totalWidth);
+      let before = 0;
+      segment.rects.forEach(([x, y, width, height]) => {
+        const left = Math.max(startAlong, before) - before;
+        const right = Math.min(endAlong, before + width) - before;
+        before += width;
+        if (right <= left) return;
+        const [x1, y1, x2, y2] = this.pageViewport.convertToViewportRectangle([x + left, y, x + right, y + height]);
+        const box = document.createElement('div');
+        box.className = 'pdf-highlight search-match';
+        box.style.left = `${Math.min(x1, x2)}px`;
+        box.style.top = `${Math.min(y1, y2)}px`;
+        box.style.width = `${Math.max(Math.abs(x2 - x1), 4)}px`;
+        box.style.height = `${Math.abs(y2 - y1)}px`;
+        this.highlightLayer.appendChild(box);
+        first = first || box;
+      });
+    });
 
-    this.viewerPage = page;
-    if (this.pageNumber) this.pageNumber.value = String(page);
-    this.pageRenderStatus?.classList.remove('hidden');
+    if (this.revealSearchMatch && first) this.keepInView(this.pageStage, first);
+    this.revealSearchMatch = false;
+  }
 
-    try {
-      if (this.renderTask) {
-        try {
-          this.renderTask.cancel();
-        } catch {
-          // Nothing to cancel.
-        }
-      }
+  // In the section view the match itself is marked inside its unit.
+  drawDocumentSearchMatch() {
+    this.documentView.querySelectorAll('.document-unit.has-match').forEach(span => {
+      span.classList.remove('has-match');
+      span.replaceChildren(span.textContent);
+    });
+    const result = this.searchPanel?.classList.contains('hidden') ? null : this.searchResults[this.searchIndex];
+    const span = result && this.documentView.querySelector(`.document-unit[data-unit="${result.unitIndex}"]`);
+    if (!span || this.units[result.unitIndex] !== result.unit) return;
+
+    const text = span.textContent;
+    const mark = document.createElement('mark');
+    mark.className = 'search-match';
+    mark.textContent = text.slice(result.start, result.end);
+    span.textContent = '';
+    span.append(text.slice(0, result.start), mark, text.slice(result.end));
+    span.classList.add('has-match');
+    if (this.revealSearchMatch) this.keepInView(this.pageStage, mark);
+    this.revealSearchMatch = false;
+  }
 
-      const pdfPage = await this.pdfDoc.getPage(page);
-      const cssScale = this.pageZoom / 100;
-      const baseViewport = pdfPage.getViewport({ scale: cssScale });
-      const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
-      const renderViewport = pdfPage.getViewport({ scale: cssScale * pixelRatio });
+  drawPageHighlight() {
+    if (this.source && !this.pdfDoc) {
+      this.drawDocumentHighlight();
+      return;
+    }
+    if (!this.highlightLayer) return;
+    this.highlightLayer.innerHTML = '';
+    this.drawSearchMatch();
+    const unit = this.units[this.currentUnitIndex];
+    if (!unit || !this.pageViewport || unit.page !== this.lastRenderedPage) return;
+
+    const activeIndex = this.isPlaying ? this.currentSegmentIndex : -1;
+    let activeBox = null;
+    unit.segments.forEach((segment, index) => (segment.rects || []).forEach(([x, y, width, height]) => {
+      // Viewport coordinates are CSS pixels at the current zoom, independent of the canvas pixel ratio.
+      const [x1, y1, x2, y2] = this.pageViewport.convertToViewportRectangle([x, y, x + width, y + height]);
+      const box = document.createElement('div');
+      box.className = `pdf-highlight${index === activeIndex ? ' active' : ''}`;
+      box.style.left = `${Math.min(x1, x2)}px`;
+      box.style.top = `${Math.min(y1, y2)}px`;
+      box.style.width = `${Math.abs(x2 - x1)}px`;
+      box.style.height = `${Math.abs(y2 - y1)}px`;
+      this.highlightLayer.appendChild(box);
+      if (index === activeIndex && !activeBox) activeBox = box;
+    }));
 
-      this.pdfCanvas.width = Math.floor(renderViewport.width);
-      this.pdfCanvas.height = Math.floor(renderViewport.height);
-      this.pdfCanvas.style.width = `${Math.floor(baseViewport.width)}px`;
-      this.pdfCanvas.style.height = `${Math.floor(baseViewport.height)}px`;
+    if (this.followNarration) this.keepInView(this.pageStage, activeBox || this.highlightLayer.firstElementChild);
+  }
 
-      this.renderTask = pdfPage.render({ canvasContext: this.canvasContext, viewport: renderViewport });
-      await this.renderTask.promise;
-      this.lastRenderedPage = page;
-    } catch (error) {
-      if (error?.name !== 'RenderingCancelledException') {
-        console.error('Page render failed:', error);
-        this.showToast('The page viewer could not render that page.');
-      }
-    } finally {
-      this.pageRenderStatus?.classList.add('hidden');
+  drawDocumentHighlight() {
+    if (!this.documentView) return;
+    this.drawDocumentSearchMatch();
+    let active = null;
+    this.documentView.querySelectorAll('.document-unit').forEach(span => {
+      const isCurrent = Number(span.dataset.unit) === this.currentUnitIndex;
+      span.classList.toggle('active', isCurrent);
+      if (isCurrent) active = span;
+    });
+    if (active && this.followNarration) this.keepInView(this.pageStage, active);
+  }
+
+  // Debug view of the reading-order analysis: every detected block, numbered in the order it is narrated.
+  // The items are filtered like extraction does, after the pages before it so running headers are recognized.
+  async drawLayoutOverlay(pdfPage) {
+    if (!this.layoutLayer || !this.pageViewport) return;
+    const page = this.lastRenderedPage;
+    const context = createExtractionContext({ keepFiltered: Array.from(this.filterKeep) });
+    for (let previous = Math.max(1, page - RUNNING_LINE_WINDOW); previous < page; previous += 1) {
+      filterPageItems((await (await this.pdfDoc.getPage(previous)).getTextContent()).items, context);
     }
+    const textContent = await pdfPage.getTextContent();
+    if (page !== this.lastRenderedPage) return;
+
+    this.layoutLayer.innerHTML = '';
+    analyzePageLayout(filterPageItems(textContent.items, context).items).blocks.forEach(block => {
+      const [x1, y1, x2, y2] = this.pageViewport.convertToViewportRectangle([
+        block.x,
+        block.y,
+        block.x + block.width,
+        block.y + block.height
+      ]);
+      const box = document.createElement('div');
+      box.className = `layout-block ${block.kind}`;
+      box.style.left = `${Math.min(x1, x2)}px`;
+      box.style.top = `${Math.min(y1, y2)}px`;
+      box.style.width = `${Math.abs(x2 - x1)}px`;
+      box.style.height = `${Math.abs(y2 - y1)}px`;
+      const label = document.createElement('span');
+      label.textContent = block.kind === 'body' ? String(block.index + 1) : `${block.index + 1} · ${block.kind}`;
+      box.appendChild(label);
+      this.layoutLayer.appendChild(box);
+    });
   }
 
   browsePage(page) {
-    if (!this.pdfDoc) return;
+    if (!this.source) return;
     this.followNarration = false;
     if (this.followNarrationCheckbox) this.followNarrationCheckbox.checked = false;
     this.saveSettings();
-    this.renderPage(clamp(page, 1, this.pdfDoc.numPages), true);
+    this.renderPage(clamp(page, 1, this.source.pageCount), true);
   }
 
   jumpAudioToPage(page) {
     if (!this.units.length) {
-      this.showToast('This PDF does not have readable text to narrate.');
+      this.showToast('This book does not have readable text to narrate.');
       return;
     }
 
     const index = this.units.findIndex(unit => unit.page >= page);
-    if (index < 0) return;
+    if (index < 0) {
+      if (this.extracting) this.showToast('That page is still being prepared. Try again in a moment.');
+      return;
+    }
+
+    this.moveNarrationTo(index);
+  }
 
+  moveNarrationTo(unitIndex, segmentIndex = 0) {
     const wasPlaying = this.isPlaying;
     this.pause(false);
-    this.currentUnitIndex = index;
-    this.currentSegmentIndex = 0;
+    this.currentUnitIndex = unitIndex;
+    this.currentSegmentIndex = clamp(segmentIndex, 0, this.units[unitIndex].segments.length - 1);
     this.followNarration = true;
     if (this.followNarrationCheckbox) this.followNarrationCheckbox.checked = true;
-    this.viewerPage = this.units[index].page;
+    this.viewerPage = this.units[unitIndex].page;
     this.updateDisplay();
     this.renderPage(this.viewerPage, true);
     this.saveBookPosition();
@@ -953,33 +4597,48 @@ class PDFStoryReader {
     const unit = this.units[this.currentUnitIndex];
     if (!unit) return;
 
-    if (this.currentLocation) this.currentLocation.textContent = `Page ${unit.page}`;
+    this.updateChapterState();
+    const chapter = this.chapters[this.currentChapterIndex];
+    if (this.currentLocation) {
+      const location = `${this.pageLabel()} ${unit.page}`;
+      this.currentLocation.textContent = chapter ? `${location} · ${chapter.title}` : location;
+    }
     const active = unit.segments[this.currentSegmentIndex];
     if (this.speakerChip) {
       this.speakerChip.textContent = active?.type === 'dialogue'
-        ? (active.speaker || 'Dialogue')
+        ? (active.speaker ? `${active.speaker}${this.isUncertainLine(active) ? '?' : ''}` : 'Dialogue')
         : 'Narrator';
     }
 
     if (this.currentText) {
+      this.currentText.lang = unit.lang || '';
+      this.currentText.dir = isRtlLanguage(unit.lang) ? 'rtl' : 'auto';
       this.currentText.innerHTML = unit.segments.map((segment, index) => {
         const classes = [
           'speech-segment',
           segment.type === 'dialogue' ? 'dialogue' : '',
+          this.findAnnotation(this.currentUnitIndex, index, 'highlight') ? 'highlighted' : '',
           index === this.currentSegmentIndex && this.isPlaying ? 'active' : ''
         ].filter(Boolean).join(' ');
 
-        const label = segment.type === 'dialogue' && segment.speaker
-          ? `<span class="speaker-label">${escapeHtml(segment.speaker)}</span>`
-          : '';
+        const word = this.isPlaying
+          && this.spokenWord?.unitIndex === this.currentUnitIndex
+          && this.spokenWord.segmentIndex === index
+          ? this.spokenWord
+          : null;
 
-        return `<span class="${classes}" data-segment="${index}">${label}${escapeHtml(segment.text)}</span>${index < unit.segments.length - 1 ? ' ' : ''}`;
+        return `<span class="${classes}" data-segment="${index}">${this.segmentMarkup(segment, word)}</span>${index < unit.segments.length - 1 ? ' ' : ''}`;
       }).join('');
+
+      const activeSpan = this.currentText.querySelector('.speech-segment.active');
+      if (activeSpan) this.keepInView(this.textDisplay, activeSpan.querySelector('.spoken-word') || activeSpan);
     }
 
     if (this.followNarration && this.viewerPage !== unit.page) {
       this.viewerPage = unit.page;
       this.renderPage(unit.page);
+    } else {
+      this.drawPageHighlight();
     }
 
     this.updateProgressMeta();
@@ -987,7 +4646,116 @@ class PDFStoryReader {
     this.updateMediaSessionMetadata();
   }
 
-  updateProgressMeta() {
+  segmentMarkup(segment, word = null) {
+    const uncertain = this.isUncertainLine(segment);
+    const label = segment.type === 'dialogue' && segment.speaker
+      ? uncertain
+        ? `<span class="speaker-label uncertain" title="Not sure who says this line. Tap to change it">${escapeHtml(segment.speaker)}?</span>`
+        : `<span class="speaker-label" title="Change who says this line">${escapeHtml(segment.speaker)}</span>`
+      : '';
+    if (!word) return `${label}${escapeHtml(segment.text)}`;
+
+    const { text } = segment;
+    return `${label}${escapeHtml(text.slice(0, word.start))}<mark class="spoken-word">${escapeHtml(text.slice(word.start, word.end))}</mark>${escapeHtml(text.slice(word.end))}`;
+  }
+
+  keepInView(container, element) {
+    if (!container || !element) return;
+    const view = container.getBoundingClientRect();
+    const rect = element.getBoundingClientRect();
+    const margin = Math.min(60, view.height / 5);
+    if (rect.top < view.top + margin || rect.bottom > view.bottom - margin) {
+      container.scrollTop += rect.top - view.top - view.height / 3;
+    }
+  }
+
+  highlightSpokenWord(start, end) {
+    const segment = this.units[this.currentUnitIndex]?.segments[this.currentSegmentIndex];
+    const span = this.currentText?.querySelector(`[data-segment="${this.currentSegmentIndex}"]`);
+    if (!segment || !span) return;
+
+    const word = {
+      unitIndex: this.currentUnitIndex,
+      segmentIndex: this.currentSegmentIndex,
+      start: clamp(start, 0, segment.text.length),
+      end: clamp(end, start, segment.text.length)
+    };
+    const previous = this.spokenWord;
+    if (previous && previous.unitIndex === word.unitIndex && previous.segmentIndex === word.segmentIndex
+      && previous.start === word.start && previous.end === word.end) return;
+
+    this.spokenWord = word;
+    span.innerHTML = this.segmentMarkup(segment, word);
+    this.updateProgressMeta(false);
+    this.keepInView(this.textDisplay, span.querySelector('.spoken-word'));
+  }
+
+  // The chunk is rewritten text; `toSegmentRange` maps positions reported by the voice back onto the displayed segment.
+  // Returns the engine's onstart and onboundary handlers.
+  trackSpokenWords({ voice, rate }, text, offset, token, toSegmentRange) {
+    const voiceName = voice?.name || 'default';
+    const words = wordRanges(text);
+    const highlight = (start, end) => {
+      const [from, to] = toSegmentRange(offset + start, offset + end);
+      this.highlightSpokenWord(from, to);
+    };
+    let sawBoundary = false;
+
+    const onboundary = event => {
+      if (token !== this.sessionToken) return;
+      sawBoundary = true;
+      this.boundaryVoices.set(voiceName, true);
+      this.stopWordEstimate();
+      const start = event.charIndex || 0;
+      const word = words.find(range => range.end > start);
+      const length = event.charLength || (word && word.start <= start ? word.end - start : 1);
+      highlight(start, start + length);
+    };
+
+    const onstart = () => {
+      if (!this.isPlaying || token !== this.sessionToken) return;
+      const startedAt = performance.now();
+      if (words[0]) highlight(words[0].start, words[0].end);
+
+      // Voices that never emit boundary events get a timing-based estimate instead.
+      this.stopWordEstimate();
+      const delay = this.boundaryVoices.get(voiceName) === false ? 0 : 700;
+      this.wordEstimateDelay = setTimeout(() => {
+        if (sawBoundary) return;
+        if (!this.boundaryVoices.get(voiceName)) this.boundaryVoices.set(voiceName, false);
+        this.estimateSpokenWords(words, highlight, startedAt, token, 1000 / this.charsPerSecond(voice, rate));
+      }, delay);
+    };
+
+    return { onstart, onboundary };
+  }
+
+  estimateSpokenWords(words, highlight, startedAt, token, msPerChar) {
+    this.wordEstimateTimer = setInterval(() => {
+      if (!this.isPlaying || token !== this.sessionToken) {
+        this.stopWordEstimate();
+        return;
+      }
+
+      const position = (performance.now() - startedAt) / msPerChar;
+      let current = words[0];
+      for (const word of words) {
+        if (word.start > position) break;
+        current = word;
+      }
+      if (current) highlight(current.start, current.end);
+    }, 120);
+  }
+
+  stopWordEstimate() {
+    clearTimeout(this.wordEstimateDelay);
+    clearInterval(this.wordEstimateTimer);
+    this.wordEstimateDelay = null;
+    this.wordEstimateTimer = null;
+  }
+
+  // `withPosition` is off for per-word updates, which only move the bar.
+  updateProgressMeta(withPosition = true) {
     if (!this.units.length) {
       if (this.progressFill) this.progressFill.style.width = '0%';
       if (this.progressThumb) this.progressThumb.style.left = '0%';
@@ -996,23 +4764,21 @@ class PDFStoryReader {
       return;
     }
 
-    const current = this.units[this.currentUnitIndex];
-    const progress = (
-      (this.currentUnitIndex + this.currentSegmentIndex / Math.max(1, current.segments.length))
-      / this.units.length
-    ) * 100;
-    const safeProgress = clamp(progress, 0, 100);
+    const elapsed = this.positionSeconds();
+    const total = Math.max(elapsed, this.estimatedTotalSeconds());
+    const safeProgress = total ? clamp((elapsed / total) * 100, 0, 100) : 0;
 
     if (this.progressFill) this.progressFill.style.width = `${safeProgress}%`;
     if (this.progressThumb) this.progressThumb.style.left = `${safeProgress}%`;
     if (this.progressLabel) this.progressLabel.textContent = `${Math.round(safeProgress)}%`;
-    if (this.progressBar) this.progressBar.setAttribute('aria-valuenow', String(Math.round(safeProgress)));
+    if (this.progressBar) {
+      this.progressBar.setAttribute('aria-valuenow', String(Math.round(safeProgress)));
+      this.progressBar.setAttribute('aria-valuetext', `${formatClock(elapsed)} of ${formatClock(total)}`);
+    }
 
-    const remainingWords = this.units
-      .slice(this.currentUnitIndex)
-      .reduce((sum, unit) => sum + unit.words, 0);
-    const minutes = Math.max(0, Math.ceil(remainingWords / (155 * this.speechRate)));
+    const minutes = Math.max(0, Math.ceil((total - elapsed) / 60));
     if (this.remainingTime) this.remainingTime.textContent = minutes ? `~${this.formatMinutes(minutes)} left` : 'Finishing…';
+    if (withPosition) this.updatePositionState();
   }
 
   togglePlayPause() {
@@ -1022,11 +4788,11 @@ class PDFStoryReader {
 
   play() {
     if (!this.units.length) {
-      this.showToast('This PDF has no readable text to narrate.');
+      this.showToast('This book has no readable text to narrate.');
       return;
     }
 
-    if (!this.speechSynthesis || typeof SpeechSynthesisUtterance === 'undefined') {
+    if (!this.speechEngine?.available) {
       this.showToast('Narration is unavailable here. Open the site in Safari or Chrome.');
       return;
     }
@@ -1035,6 +4801,7 @@ class PDFStoryReader {
     this.sessionToken += 1;
     if (this.playIcon) this.playIcon.textContent = 'Ⅱ';
     this.playPauseBtn?.setAttribute('aria-label', 'Pause');
+    this.speechEngine.unlock?.();
     this.startBackgroundAudio();
     this.startIOSKeepAlive();
     this.updateDisplay();
@@ -1045,13 +4812,9 @@ class PDFStoryReader {
   pause(stopBackground = true) {
     this.isPlaying = false;
     this.sessionToken += 1;
-    if (this.speechSynthesis) {
-      try {
-        this.speechSynthesis.cancel();
-      } catch {
-        // Speech cancellation is optional.
-      }
-    }
+    this.stopWordEstimate();
+    this.spokenWord = null;
+    this.speechEngine?.cancel();
 
     if (this.playIcon) this.playIcon.textContent = '▶';
     this.playPauseBtn?.setAttribute('aria-label', 'Play');
@@ -1062,22 +4825,21 @@ class PDFStoryReader {
   }
 
   restartCurrentSegment() {
-    if (!this.isPlaying || !this.speechSynthesis) return;
+    if (!this.isPlaying || !this.speechEngine) return;
     this.sessionToken += 1;
-    try {
-      this.speechSynthesis.cancel();
-    } catch {
-      // Continue with restart.
-    }
+    this.speechEngine.cancel();
 
     const token = this.sessionToken;
+    this.stopWordEstimate();
     setTimeout(() => this.speakCurrentSegment(token), isIOS ? 80 : 35);
   }
 
   speakCurrentSegment(token) {
     if (!this.isPlaying || token !== this.sessionToken) return;
     if (this.currentUnitIndex >= this.units.length) {
-      this.finishPlayback();
+      // Playback caught up with background extraction: wait for the next pages.
+      if (this.extracting) setTimeout(() => this.speakCurrentSegment(token), 300);
+      else this.finishPlayback();
       return;
     }
 
@@ -1085,24 +4847,50 @@ class PDFStoryReader {
     if (this.currentSegmentIndex >= unit.segments.length) {
       this.currentUnitIndex += 1;
       this.currentSegmentIndex = 0;
-      if (this.currentUnitIndex >= this.units.length) {
+      if (this.currentUnitIndex >= this.units.length && !this.extracting) {
         this.finishPlayback();
         return;
       }
+      if (this.sleepAtChapterEnd && this.chapterIndexAt(this.currentUnitIndex) !== this.chapterIndexAt(this.currentUnitIndex - 1)) {
+        this.sleepAtChapterEnd = false;
+        if (this.sleepTimer) this.sleepTimer.value = '0';
+        this.pause();
+        this.showToast('End of chapter. Playback paused.');
+        return;
+      }
       this.updateDisplay();
-      setTimeout(() => this.speakCurrentSegment(token), 170);
+      setTimeout(() => this.speakCurrentSegment(token), this.unitPauseMs(this.currentUnitIndex));
       return;
     }
 
     const segment = unit.segments[this.currentSegmentIndex];
+    const start = this.consumeStartOffset(segment);
+    this.spokenWord = null;
     this.updateDisplay();
-    const chunks = this.splitForSpeech(segment.text, isIOS ? 340 : 620);
-    this.speakChunkSequence(chunks, segment, 0, token);
+    const spoken = this.prepareSpokenText(segment.text.slice(start), unit.lang);
+    const chunks = this.splitForSpeech(spoken.text, isIOS ? 340 : 620, unit.lang);
+    const toSegmentRange = (from, to) => mapSpokenRange(spoken, from, to).map(offset => offset + start);
+    this.speakChunkSequence(chunks, segment, 0, token, chunkOffsets(spoken.text, chunks), toSegmentRange);
+  }
+
+  // Pronunciation rules first, so they can override an expansion; then numbers, abbreviations and links.
+  prepareSpokenText(text, lang = '') {
+    const spoken = applyLexicon(text, this.lexicon);
+    if (!this.normalizeSpeech) return spoken;
+    const locale = lang || this.narratorVoice?.lang || navigator.language || 'en';
+    return composeRewrites(spoken, normalizeForSpeech(spoken.text, locale));
   }
 
-  splitForSpeech(text, maxChars) {
+  consumeStartOffset(segment) {
+    const pending = this.pendingStartOffset;
+    this.pendingStartOffset = null;
+    if (!pending || pending.unitIndex !== this.currentUnitIndex || pending.segmentIndex !== this.currentSegmentIndex) return 0;
+    return clamp(pending.offset, 0, Math.max(0, segment.text.length - 1));
+  }
+
+  splitForSpeech(text, maxChars, lang = 'en') {
     if (text.length <= maxChars) return [text];
-    const parts = this.segmentSentences(text);
+    const parts = segmentSentences(text, lang);
     const chunks = [];
     let current = '';
 
@@ -1123,47 +4911,134 @@ class PDFStoryReader {
     return fallback;
   }
 
-  speakChunkSequence(chunks, segment, chunkIndex, token) {
-    if (!this.isPlaying || token !== this.sessionToken || !this.speechSynthesis) return;
+  speakChunkSequence(chunks, segment, chunkIndex, token, offsets = [], toSegmentRange = (from, to) => [from, to]) {
+    if (!this.isPlaying || token !== this.sessionToken || !this.speechEngine) return;
 
     if (chunkIndex >= chunks.length) {
       this.currentSegmentIndex += 1;
-      setTimeout(
-        () => this.speakCurrentSegment(token),
-        segment.type === 'dialogue' ? 115 : 85
-      );
+      setTimeout(() => this.speakCurrentSegment(token), this.segmentPauseMs(segment));
       return;
     }
 
-    const utterance = new SpeechSynthesisUtterance(chunks[chunkIndex]);
-    utterance.rate = this.speechRate;
-    utterance.pitch = clamp(this.speechPitch + (segment.type === 'dialogue' ? 0.02 : 0), 0.1, 2);
-    utterance.volume = this.speechVolume;
-    utterance.voice = this.getVoiceForSegment(segment);
+    const options = this.speechOptions(segment, this.units[this.currentUnitIndex]?.lang || '', chunks[chunkIndex]);
+    const tracking = this.trackSpokenWords(options, chunks[chunkIndex], offsets[chunkIndex] || 0, token, toSegmentRange);
+    let startedAt = 0;
+
+    this.speechEngine.speak(chunks[chunkIndex], options, {
+      ...tracking,
+      onstart: () => {
+        startedAt = performance.now();
+        tracking.onstart();
+      },
+      onend: () => {
+        this.stopWordEstimate();
+        if (this.isPlaying && token === this.sessionToken) {
+          // Timed in book characters, which is what the time model counts.
+          const [from, to] = toSegmentRange(offsets[chunkIndex] || 0, (offsets[chunkIndex] || 0) + chunks[chunkIndex].length);
+          if (startedAt) this.recordSpeechTiming(options.voice, options.baseRate, to - from, (performance.now() - startedAt) / 1000);
+          this.speakChunkSequence(chunks, segment, chunkIndex + 1, token, offsets, toSegmentRange);
+        }
+      },
+      onerror: event => {
+        this.stopWordEstimate();
+        if (event.error === 'canceled' || token !== this.sessionToken) return;
+        console.warn('Speech error:', event.error);
+        // A voice that cannot load at all would fail every chunk, so stop instead of skipping through the book.
+        if (event.fatal) {
+          this.pause();
+          this.showToast(event.message || 'The voice could not be loaded.');
+          return;
+        }
+        setTimeout(() => this.speakChunkSequence(chunks, segment, chunkIndex + 1, token, offsets, toSegmentRange), 120);
+      }
+    });
 
-    utterance.onend = () => {
-      if (this.isPlaying && token === this.sessionToken) {
-        this.speakChunkSequence(chunks, segment, chunkIndex + 1, token);
+    // Engines that synthesize audio themselves prepare the next chunk while this one plays.
+    if (this.speechEngine.prefetch) {
+      if (chunkIndex + 1 < chunks.length) {
+        const lang = this.units[this.currentUnitIndex]?.lang || '';
+        this.speechEngine.prefetch(chunks[chunkIndex + 1], this.speechOptions(segment, lang, chunks[chunkIndex + 1]));
       }
-    };
+      else this.prefetchNextSegment();
+    }
+  }
+
+  // `text` is the chunk about to be spoken; `baseRate` is the speed before expression, which is what speech is timed against.
+  speechOptions(segment, lang = '', text = segment.text) {
+    const voicing = this.getVoiceForSegment(segment, lang);
+    const { voice, pitch, rate, volume } = this.applyProsody(voicing, segment, text);
+    return { voice, rate, pitch, volume, lang: lang ? voice?.lang || lang : '', baseRate: voicing.rate };
+  }
 
-    utterance.onerror = event => {
-      if (event.error === 'canceled' || token !== this.sessionToken) return;
-      console.warn('Speech error:', event.error);
-      setTimeout(() => this.speakChunkSequence(chunks, segment, chunkIndex + 1, token), 120);
+  // Closing punctuation only shapes dialogue and short passages; a long paragraph is not read as a question
+  // because of its last sentence.
+  applyProsody(voicing, segment, text) {
+    const amount = this.prosodyIntensity;
+    if (!amount) return voicing;
+    const cues = [];
+    const ending = segment.type === 'dialogue' || text.length <= 160 ? closingPunctuation(text) : '';
+    if (ending) cues.push(PROSODY_CUES[ending]);
+    if (segment.emphasis >= ITALIC_SHARE) cues.push(PROSODY_CUES.italic);
+    if (segment.type === 'dialogue' && CHARACTER_STYLES[segment.delivery]) cues.push(CHARACTER_STYLES[segment.delivery]);
+    if (!cues.length) return voicing;
+
+    const shaped = { ...voicing };
+    cues.forEach(cue => {
+      shaped.pitch += cue.pitch * amount;
+      shaped.rate *= 1 + (cue.rate - 1) * amount;
+      shaped.volume *= 1 + (cue.volume - 1) * amount;
+    });
+    return {
+      ...shaped,
+      pitch: clamp(shaped.pitch, 0.1, 2),
+      rate: clamp(shaped.rate, 0.5, 3),
+      volume: clamp(shaped.volume, 0, 1)
     };
+  }
 
-    this.speechSynthesis.speak(utterance);
+  prefetchNextSegment() {
+    let unitIndex = this.currentUnitIndex;
+    let segmentIndex = this.currentSegmentIndex + 1;
+    if (segmentIndex >= (this.units[unitIndex]?.segments.length || 0)) {
+      unitIndex += 1;
+      segmentIndex = 0;
+    }
+    const unit = this.units[unitIndex];
+    const segment = unit?.segments[segmentIndex];
+    if (!segment) return;
+    const spoken = this.prepareSpokenText(segment.text, unit.lang);
+    const [first] = this.splitForSpeech(spoken.text, isIOS ? 340 : 620, unit.lang);
+    if (first) this.speechEngine.prefetch(first, this.speechOptions(segment, unit.lang, first));
   }
 
-  getVoiceForSegment(segment) {
-    if (!this.smartVoices || segment.type !== 'dialogue') return this.narratorVoice;
-    if (segment.speaker) {
-      const name = this.speakerVoiceNames.get(segment.speaker);
-      const voice = this.voices.find(candidate => candidate.name === name);
-      if (voice) return voice;
+  // The voice, pitch, speed and volume for a segment: the playback settings with the speaker's profile applied.
+  getVoiceForSegment(segment, lang = '', languageVoice = language => this.voiceForLanguage(language)) {
+    const voicing = { voice: this.narratorVoice, pitch: this.speechPitch, rate: this.speechRate, volume: this.speechVolume };
+    if (this.smartVoices && segment.type === 'dialogue') {
+      // A guessed speaker gets the plain dialogue voice rather than risking the wrong character's.
+      const profile = segment.speaker && !this.isUncertainLine(segment) ? this.castProfiles.get(segment.speaker) : null;
+      const voice = profile && this.voices.find(candidate => candidate.name === profile.voice);
+      if (voice) Object.assign(voicing, this.applyCastProfile(profile), { voice });
+      else {
+        voicing.voice = this.dialogueVoice || this.narratorVoice;
+        voicing.pitch = clamp(this.speechPitch + DIALOGUE_PITCH_OFFSET, 0.1, 2);
+      }
+    }
+
+    // A voice reading another language mangles it, so switch to one that speaks the paragraph's language.
+    if (lang && voicing.voice && baseLanguage(voicing.voice.lang) !== lang) {
+      voicing.voice = languageVoice(lang) || voicing.voice;
     }
-    return this.dialogueVoice || this.narratorVoice;
+    return voicing;
+  }
+
+  applyCastProfile(profile) {
+    const style = CHARACTER_STYLES[profile.style] || { pitch: 0, rate: 1, volume: 1 };
+    return {
+      pitch: clamp(this.speechPitch + (Number(profile.pitch) || 0) + style.pitch, 0.1, 2),
+      rate: clamp(this.speechRate * (Number(profile.rate) || 1) * style.rate, 0.5, 3),
+      volume: clamp(this.speechVolume * (Number(profile.volume) || 1) * style.volume, 0, 1)
+    };
   }
 
   finishPlayback() {
@@ -1177,47 +5052,24 @@ class PDFStoryReader {
 
   seekBySeconds(seconds) {
     if (!this.units.length) return;
-    const targetWords = Math.max(20, Math.round(Math.abs(seconds) * (155 * this.speechRate) / 60));
-    const direction = Math.sign(seconds) || 1;
-    let index = this.currentUnitIndex;
-    let traversed = 0;
-
-    while (traversed < targetWords) {
-      const next = index + direction;
-      if (next < 0 || next >= this.units.length) break;
-      index = next;
-      traversed += this.units[index].words;
-    }
-
-    const wasPlaying = this.isPlaying;
-    this.pause(false);
-    this.currentUnitIndex = index;
-    this.currentSegmentIndex = 0;
-    this.updateDisplay();
-    if (wasPlaying) this.play();
+    this.seekToSeconds(this.positionSeconds() + seconds);
   }
 
   seekFromProgressEvent(event) {
     if (!this.units.length || !this.progressBar) return;
     const rect = this.progressBar.getBoundingClientRect();
     const percent = clamp((event.clientX - rect.left) / rect.width, 0, 1);
-    const index = clamp(Math.floor(percent * this.units.length), 0, this.units.length - 1);
-    const wasPlaying = this.isPlaying;
-
-    this.pause(false);
-    this.currentUnitIndex = index;
-    this.currentSegmentIndex = 0;
-    this.updateDisplay();
-    if (wasPlaying) this.play();
+    this.seekToSeconds(percent * this.estimatedTotalSeconds());
   }
 
   previewSelectedVoices() {
-    if (!this.speechSynthesis || typeof SpeechSynthesisUtterance === 'undefined') {
+    if (!this.speechEngine?.available) {
       this.showToast('Voice preview is unavailable in this browser.');
       return;
     }
 
-    this.speechSynthesis.cancel();
+    this.pause(false);
+    this.speechEngine.unlock?.();
     const samples = [
       {
         text: 'The room fell quiet as the storm rolled over the city.',
@@ -1227,28 +5079,46 @@ class PDFStoryReader {
       {
         text: 'I was hoping you would say that.',
         voice: this.dialogueVoice,
-        pitch: this.speechPitch + 0.02
+        pitch: this.speechPitch + DIALOGUE_PITCH_OFFSET
       }
     ];
 
     const speak = index => {
       if (index >= samples.length) return;
       const sample = samples[index];
-      const utterance = new SpeechSynthesisUtterance(sample.text);
-      utterance.voice = sample.voice;
-      utterance.rate = this.speechRate;
-      utterance.pitch = clamp(sample.pitch, 0.1, 2);
-      utterance.volume = this.speechVolume;
-      utterance.onend = () => setTimeout(() => speak(index + 1), 180);
-      this.speechSynthesis.speak(utterance);
+      this.speechEngine.speak(sample.text, {
+        voice: sample.voice,
+        rate: this.speechRate,
+        pitch: clamp(sample.pitch, 0.1, 2),
+        volume: this.speechVolume
+      }, {
+        onend: () => setTimeout(() => speak(index + 1), 180),
+        onerror: event => this.reportPreviewError(event)
+      });
     };
 
     speak(0);
   }
 
+  reportPreviewError(event) {
+    if (event.fatal) this.showToast(event.message || 'The voice could not be loaded.');
+  }
+
   configureSleepTimer(minutes) {
     if (this.sleepTimerId) clearTimeout(this.sleepTimerId);
     this.sleepTimerId = null;
+    this.sleepAtChapterEnd = false;
+
+    if (minutes === 'chapter') {
+      if (!this.chapters.length) {
+        if (this.sleepTimer) this.sleepTimer.value = '0';
+        this.showToast('No chapters were found in this book.');
+        return;
+      }
+      this.sleepAtChapterEnd = true;
+      this.showToast('Playback will pause at the end of this chapter.');
+      return;
+    }
 
     if (!minutes) {
       this.showToast('Sleep timer is off.');
@@ -1286,23 +5156,7 @@ class PDFStoryReader {
     const samples = sampleRate * seconds;
     const buffer = new ArrayBuffer(44 + samples * 2);
     const view = new DataView(buffer);
-    const write = (offset, value) => {
-      [...value].forEach((char, index) => view.setUint8(offset + index, char.charCodeAt(0)));
-    };
-
-    write(0, 'RIFF');
-    view.setUint32(4, 36 + samples * 2, true);
-    write(8, 'WAVE');
-    write(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    view.setUint16(22, 1, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * 2, true);
-    view.setUint16(32, 2, true);
-    view.setUint16(34, 16, true);
-    write(36, 'data');
-    view.setUint32(40, samples * 2, true);
+    writeWavHeader(view, sampleRate, samples * 2);
 
     for (let i = 0; i < samples; i += 1) {
       const sample = Math.sin(2 * Math.PI * 220 * (i / sampleRate)) * 80;
@@ -1328,15 +5182,9 @@ class PDFStoryReader {
 
   startIOSKeepAlive() {
     this.stopIOSKeepAlive();
-    if (!isIOS || !this.speechSynthesis) return;
+    if (!isIOS || !this.speechEngine?.keepAlive) return;
     this.iosKeepAliveTimer = setInterval(() => {
-      if (this.isPlaying && this.speechSynthesis.paused) {
-        try {
-          this.speechSynthesis.resume();
-        } catch {
-          // Resume support varies by browser.
-        }
-      }
+      if (this.isPlaying) this.speechEngine.keepAlive();
     }, 9000);
   }
 
@@ -1359,18 +5207,24 @@ class PDFStoryReader {
     safeSet('pause', () => this.pause());
     safeSet('seekbackward', details => this.seekBySeconds(-(details.seekOffset || 15)));
     safeSet('seekforward', details => this.seekBySeconds(details.seekOffset || 15));
-    safeSet('previoustrack', () => this.seekBySeconds(-15));
-    safeSet('nexttrack', () => this.seekBySeconds(15));
-    safeSet('stop', () => this.pause());
+    safeSet('seekto', details => this.seekToSeconds(details.seekTime || 0));
+    safeSet('previoustrack', () => this.skipChapter(-1));
+    safeSet('nexttrack', () => this.skipChapter(1));
+    // Stopping from the lock screen or headphones keeps the place to resume from; bookmarks stay the user's choice.
+    safeSet('stop', () => {
+      this.pause();
+      this.saveBookPosition();
+    });
   }
 
   updateMediaSessionMetadata() {
     if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
     const unit = this.units[this.currentUnitIndex];
+    const chapter = this.chapters[this.chapterIndexAt(this.currentUnitIndex)];
     try {
       navigator.mediaSession.metadata = new MediaMetadata({
         title: this.bookName?.textContent || 'PDF Story Reader',
-        artist: unit ? `Page ${unit.page}` : 'Ready to read',
+        artist: unit ? `${chapter ? `${chapter.title} • ` : ''}${this.pageLabel()} ${unit.page}` : 'Ready to read',
         album: 'PDF Story Reader',
         artwork: [{ src: MEDIA_SESSION_ARTWORK_URL, sizes: '96x96', type: 'image/svg+xml' }]
       });
@@ -1386,32 +5240,77 @@ class PDFStoryReader {
     } catch {
       // Playback state is optional.
     }
+    this.updatePositionState();
+  }
+
+  // Times already include the reading speed, so the position advances at a playback rate of 1.
+  updatePositionState() {
+    if (!navigator.mediaSession?.setPositionState) return;
+    try {
+      const duration = this.estimatedTotalSeconds();
+      if (!duration) return;
+      navigator.mediaSession.setPositionState({ duration, playbackRate: 1, position: clamp(this.positionSeconds(), 0, duration) });
+    } catch {
+      // Position state is optional.
+    }
   }
 
   resetReader() {
     this.pause();
+    this.stopExtraction();
+    this.cancelOcr(false);
+    this.cancelExport();
+    this.exportPanel?.classList.add('hidden');
+    this.source?.close();
+    this.source = null;
     this.pdfDoc = null;
+    this.updateViewerMode();
     this.file = null;
     this.fileKey = '';
     this.pageTexts = [];
     this.units = [];
     this.detectedSpeakers = [];
-    this.speakerVoiceNames.clear();
+    this.castProfiles.clear();
+    this.tunedCastName = '';
+    this.bookLanguage = '';
+    this.bookLanguages = [];
+    this.renderLanguageVoices();
+    this.outline = [];
+    this.chapters = [];
+    this.sleepAtChapterEnd = false;
+    this.renderChapters();
+    this.filteredLines = new Map();
+    this.renderFilteredLines();
+    this.annotations = [];
+    this.renderAnnotations();
+    this.castEdits = emptyCastEdits();
+    this.castPanel?.classList.add('hidden');
+    this.renderCastEditor();
+    this.searchPanel?.classList.add('hidden');
+    this.clearSearch();
     this.currentUnitIndex = 0;
     this.currentSegmentIndex = 0;
     this.viewerPage = 1;
     this.lastRenderedPage = null;
+    this.pageViewport = null;
+    this.libraryUnitIndex = -1;
+    this.ocrPages = {};
 
     if (this.fileInput) this.fileInput.value = '';
     this.readerSection?.classList.add('hidden');
     this.uploadSection?.classList.remove('hidden');
     this.changeBook?.classList.add('hidden');
+    this.ocrPanel?.classList.add('hidden');
+    this.openOcrBtn?.classList.add('hidden');
     if (this.castCount) this.castCount.textContent = '0';
     if (this.castList) this.castList.innerHTML = '<div class="empty-cast">No named speakers detected yet.</div>';
     if (this.pdfCanvas && this.canvasContext) {
       this.canvasContext.clearRect(0, 0, this.pdfCanvas.width, this.pdfCanvas.height);
     }
-    this.setUploadStatus('Choose a PDF to begin.');
+    if (this.highlightLayer) this.highlightLayer.innerHTML = '';
+    this.clearTextLayer();
+    this.setUploadStatus('Choose a book to begin.');
+    this.refreshLibrary();
   }
 
   showLoading(show, title = '', message = '', percent = 0) {
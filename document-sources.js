@@ -0,0 +1,574 @@
+// Document sources: each opened book format exposes the same small surface to the reader.
+// A source has `kind`, `title`, `pageCount`, `pageLabel`, `getPageContent(page)`, `loadOutline()` and `loadLanguage()`.
+// PDF pages return pdf.js text items; every other format returns sections of plain text with their headings.
+
+const SECTION_MAX_CHARS = 12000;
+const DOCUMENT_FORMATS = [
+  { kind: 'pdf', label: 'PDF', extensions: ['pdf'], types: ['application/pdf'] },
+  { kind: 'epub', label: 'EPUB', extensions: ['epub'], types: ['application/epub+zip'] },
+  { kind: 'docx', label: 'DOCX', extensions: ['docx'], types: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+  { kind: 'markdown', label: 'MD', extensions: ['md', 'markdown'], types: ['text/markdown', 'text/x-markdown'] },
+  { kind: 'text', label: 'TXT', extensions: ['txt', 'text'], types: ['text/plain'] }
+];
+const HTML_BLOCK_TAGS = new Set(['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'section', 'article', 'aside', 'header', 'footer', 'pre', 'tr', 'dt', 'dd', 'figcaption', 'table', 'ul', 'ol', 'hr', 'br']);
+const HTML_SKIPPED_TAGS = new Set(['head', 'script', 'style', 'nav', 'svg', 'math', 'rt', 'rp', 'template']);
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const EPUB_NAMESPACE = 'http://www.idpf.org/2007/ops';
+
+function documentFormat(file) {
+  const name = String(file?.name || '').toLowerCase();
+  const extension = name.includes('.') ? name.split('.').pop() : '';
+  const match = DOCUMENT_FORMATS.find(format => format.extensions.includes(extension))
+    || DOCUMENT_FORMATS.find(format => format.types.includes(file?.type));
+  return match?.kind || '';
+}
+
+function documentFormatLabel(kind) {
+  return DOCUMENT_FORMATS.find(format => format.kind === kind)?.label || 'PDF';
+}
+
+async function openDocumentSource(file, loadPdfJs) {
+  const kind = documentFormat(file);
+  if (kind === 'pdf') return PdfDocumentSource.open(file, await loadPdfJs());
+  if (kind === 'epub') return EpubDocumentSource.open(file);
+  if (kind === 'docx') return DocxDocumentSource.open(file);
+  if (kind === 'markdown' || kind === 'text') return TextDocumentSource.open(file, kind);
+  throw new Error('That file type is not supported.');
+}
+
+function elementsByName(root, name) {
+  return Array.from(root?.getElementsByTagNameNS('*', name) || []);
+}
+
+function parseMarkup(markup, type = 'application/xhtml+xml') {
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(markup, type);
+  if (!doc.getElementsByTagName('parsererror').length) return doc;
+  // Plenty of EPUBs ship XHTML that is not well-formed; the HTML parser copes.
+  return type === 'application/xhtml+xml' ? parser.parseFromString(markup, 'text/html') : doc;
+}
+
+function decodeText(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+// Resolves `href` against the directory of `base` inside a zip: "OEBPS/text/a.xhtml" + "../b.xhtml#x" → "OEBPS/b.xhtml#x".
+function resolveZipPath(base, href) {
+  const [path, fragment] = String(href || '').split('#');
+  const parts = base.split('/').slice(0, -1);
+  decodeURIComponent(path).split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return fragment ? `${parts.join('/')}#${fragment}` : parts.join('/');
+}
+
+// Reads stored and deflated entries of a zip archive (EPUB, DOCX). Inflating uses the browser's DecompressionStream.
+class ZipArchive {
+  constructor(bytes, entries) {
+    this.bytes = bytes;
+    this.entries = entries;
+  }
+
+  static async open(file) {
+    const buffer = await file.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    let end = -1;
+    for (let index = bytes.length - 22; index >= Math.max(0, bytes.length - 65557); index -= 1) {
+      if (view.getUint32(index, true) === 0x06054b50) {
+        end = index;
+        break;
+      }
+    }
+    if (end < 0) throw new Error('This file is damaged or is not a zip-based document.');
+
+    const entries = new Map();
+    const names = new TextDecoder();
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    for (let index = 0; index < count && view.getUint32(offset, true) === 0x02014b50; index += 1) {
+      const nameLength = view.getUint16(offset + 28, true);
+      const name = names.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+      entries.set(name, {
+        method: view.getUint16(offset + 10, true),
+        size: view.getUint32(offset + 20, true),
+        offset: view.getUint32(offset + 42, true)
+      });
+      offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    return new ZipArchive(bytes, entries);
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  async read(name) {
+    const entry = this.entries.get(name);
+    if (!entry) throw new Error(`The document is missing ${name}.`);
+    const view = new DataView(this.bytes.buffer);
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = this.bytes.subarray(start, start + entry.size);
+    if (entry.method === 0) return data;
+    if (entry.method !== 8) throw new Error('This document uses an unsupported compression method.');
+    if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot open compressed documents.');
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  async text(name) {
+    return decodeText(await this.read(name));
+  }
+}
+
+// Flattens an (X)HTML body into blocks: `{ text, level }` with level 1–6 for headings and 0 for paragraphs.
+// Block elements with an id are recorded as anchors so table-of-contents links can point into a chapter.
+function htmlBlocks(root, anchorBase = '') {
+  const blocks = [];
+  let current = '';
+  let anchors = [];
+  const flush = (level = 0) => {
+    const text = normalizeSpaces(current);
+    if (text) {
+      blocks.push({ text, level, anchors });
+      anchors = [];
+    }
+    current = '';
+  };
+
+  const walk = node => {
+    if (node.nodeType === 3) {
+      current += node.nodeValue.replace(/\s+/g, ' ');
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    const tag = node.localName.toLowerCase();
+    const epubType = node.getAttributeNS?.(EPUB_NAMESPACE, 'type') || node.getAttribute('epub:type') || '';
+    if (HTML_SKIPPED_TAGS.has(tag) || /\b(?:noteref|pagebreak)\b/.test(epubType)) return;
+
+    const isBlock = HTML_BLOCK_TAGS.has(tag);
+    if (isBlock) flush();
+    if (node.id && anchorBase) anchors.push(`${anchorBase}#${node.id}`);
+    node.childNodes.forEach(walk);
+    if (isBlock) flush(/^h[1-6]$/.test(tag) ? Number(tag[1]) : 0);
+  };
+
+  if (root) walk(root);
+  flush();
+  return blocks;
+}
+
+function stripMarkdown(line) {
+  return String(line || '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\](?:\([^)]*\)|\[[^\]]*\])/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+    .replace(/(?<![\p{L}\p{N}*])\*(?=\S)(.+?)(?<=\S)\*(?![\p{L}\p{N}*])/gu, '$1')
+    .replace(/(?<![\p{L}\p{N}_])_(?=\S)(.+?)(?<=\S)_(?![\p{L}\p{N}_])/gu, '$1')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!])/g, '$1');
+}
+
+// Markdown to blocks. Code blocks, table separator rows and horizontal rules are not narrated.
+function markdownBlocks(source) {
+  const blocks = [];
+  let paragraph = [];
+  let fenced = false;
+  const flush = () => {
+    if (paragraph.length) blocks.push({ text: paragraph.join(' '), level: 0 });
+    paragraph = [];
+  };
+
+  source.split(/\r?\n/).forEach(line => {
+    if (/^\s{0,3}(?:```|~~~)/.test(line)) {
+      flush();
+      fenced = !fenced;
+      return;
+    }
+    if (fenced) return;
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      blocks.push({ text: stripMarkdown(heading[2]), level: heading[1].length });
+      return;
+    }
+    // A "===" or "---" line under a single line of text underlines a heading.
+    if (paragraph.length === 1 && /^\s{0,3}(?:=+|-+)\s*$/.test(line)) {
+      blocks.push({ text: paragraph[0], level: line.includes('=') ? 1 : 2 });
+      paragraph = [];
+      return;
+    }
+    if (!line.trim() || /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line) || /^\s*\|?[\s:|-]+\|[\s:|-]*$/.test(line)) {
+      flush();
+      return;
+    }
+
+    const isListItem = /^\s*(?:[-*+]|\d+[.)])\s+/.test(line);
+    if (isListItem) flush();
+    const text = line
+      .replace(/^\s{0,3}(?:>\s?)+/, '')
+      .replace(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, '')
+      .replace(/^\s*\|/, '')
+      .replace(/\|\s*$/, '')
+      .replace(/\s*\|\s*/g, ', ');
+    paragraph.push(stripMarkdown(text));
+  });
+  flush();
+  return blocks;
+}
+
+// Plain text to blocks. Hard-wrapped lines are joined; files without blank lines get one paragraph per line.
+function plainTextBlocks(source) {
+  const text = source.replace(/\r\n?/g, '\n');
+  const paragraphs = /\n[ \t]*\n/.test(text) ? text.split(/\n[ \t]*\n+/) : text.split('\n');
+  return paragraphs.map(paragraph => {
+    const joined = normalizeSpaces(paragraph.replace(/-\n(?=\p{Ll})/gu, '').replace(/\n/g, ' '));
+    const isHeading = joined.length <= 80 && (CHAPTER_HEADING_PATTERN.test(joined) || ROMAN_HEADING_PATTERN.test(joined));
+    return { text: joined, level: isHeading ? 1 : 0 };
+  });
+}
+
+// Groups blocks into sections. Headings at the top level that repeats start a new section (a lone "# Title"
+// above "## Chapter" headings does not count), as do `pageBreak` blocks, and long stretches without headings
+// are cut at a paragraph near SECTION_MAX_CHARS.
+// Returns the sections, an outline of three heading levels and the section each anchor landed in.
+function buildTextSections(blocks) {
+  const levels = blocks.filter(block => block.level).map(block => block.level);
+  const repeated = levels.filter((level, index) => levels.indexOf(level) !== index);
+  const topLevel = Math.min(...(repeated.length ? repeated : levels), 7);
+  const sections = [];
+  const outline = [];
+  const anchors = new Map();
+  let current = null;
+  let breakPending = true;
+
+  blocks.forEach(block => {
+    if (block.pageBreak) {
+      breakPending = true;
+      (block.anchors || []).forEach(anchor => anchors.set(anchor, sections.length + 1));
+      return;
+    }
+    const text = normalizeSpaces(block.text);
+    if (!text) return;
+    const startsSection = breakPending
+      || (block.level && block.level <= topLevel && current.size)
+      || (!block.level && current.size + text.length > SECTION_MAX_CHARS);
+    if (startsSection) {
+      current = { paragraphs: [], headings: [], size: 0 };
+      sections.push(current);
+      breakPending = false;
+    }
+
+    current.paragraphs.push(text);
+    current.size += text.length;
+    (block.anchors || []).forEach(anchor => anchors.set(anchor, sections.length));
+    if (block.level) {
+      current.headings.push(text);
+      const level = Math.max(0, block.level - topLevel);
+      if (level <= 2) outline.push({ title: text.slice(0, 120), page: sections.length, level });
+    }
+  });
+
+  return {
+    sections: sections.map(section => ({ text: section.paragraphs.join('\n\n'), headings: section.headings })),
+    outline,
+    anchors
+  };
+}
+
+// Text drawn with a sheared matrix: the oblique that PDF writers fake when no italic font is embedded.
+function isSlantedText(transform) {
+  const [, b, c, d] = transform || [];
+  return Math.abs(b) < 0.01 && Math.abs(c) > Math.abs(d) * 0.1;
+}
+
+class PdfDocumentSource {
+  constructor(pdf) {
+    this.kind = 'pdf';
+    this.pdf = pdf;
+    this.title = '';
+    this.pageLabel = 'Page';
+    this.italicFonts = new Map();
+  }
+
+  static async open(file, pdfjs) {
+    const data = new Uint8Array(await file.arrayBuffer());
+    return new PdfDocumentSource(await pdfjs.getDocument({ data }).promise);
+  }
+
+  get pageCount() {
+    return this.pdf.numPages;
+  }
+
+  async getPageContent(pageNumber) {
+    const page = await this.pdf.getPage(pageNumber);
+    const textContent = await page.getTextContent();
+    await this.loadFontStyles(page, textContent.items);
+    return {
+      items: textContent.items.map(item => ({
+        str: item.str,
+        transform: item.transform,
+        width: item.width,
+        height: item.height,
+        hasEOL: item.hasEOL,
+        fontName: item.fontName,
+        italic: this.italicFonts.get(item.fontName) || isSlantedText(item.transform)
+      }))
+    };
+  }
+
+  // pdf.js only passes a font's style to this thread with a page's operator list, so that is fetched
+  // for pages that use fonts not seen before; most books use a handful of fonts, all seen in the first pages.
+  async loadFontStyles(page, items) {
+    const unseen = [...new Set(items.map(item => item.fontName))].filter(name => name && !this.italicFonts.has(name));
+    if (!unseen.length) return;
+    try {
+      await page.getOperatorList();
+    } catch {
+      // Without styles italics are simply not voiced.
+    }
+    unseen.forEach(name => {
+      const font = page.commonObjs.has(name) ? page.commonObjs.get(name) : null;
+      this.italicFonts.set(name, Boolean(font?.italic || /italic|oblique/i.test(font?.name || '')));
+    });
+  }
+
+  // The catalog /Lang, or dc:language from XMP metadata.
+  async loadLanguage() {
+    try {
+      const { info, metadata } = await this.pdf.getMetadata();
+      return baseLanguage(info?.Language || metadata?.get?.('dc:language') || '');
+    } catch {
+      return '';
+    }
+  }
+
+  async loadOutline() {
+    const entries = [];
+    const walk = async (items, level) => {
+      for (const item of items || []) {
+        const page = await this.resolveDestinationPage(item.dest);
+        const title = normalizeSpaces(item.title);
+        if (page && title) entries.push({ title, page, level });
+        if (level < 2) await walk(item.items, level + 1);
+      }
+    };
+
+    try {
+      await walk(await this.pdf.getOutline(), 0);
+    } catch (error) {
+      console.warn('Could not read the document outline:', error);
+    }
+    return entries;
+  }
+
+  async resolveDestinationPage(dest) {
+    try {
+      const explicit = typeof dest === 'string' ? await this.pdf.getDestination(dest) : dest;
+      const ref = Array.isArray(explicit) ? explicit[0] : null;
+      if (ref === null || ref === undefined) return 0;
+      const index = typeof ref === 'number' ? ref : await this.pdf.getPageIndex(ref);
+      return index + 1;
+    } catch {
+      return 0;
+    }
+  }
+
+  async loadCover() {
+    return null;
+  }
+
+  close() {
+    this.pdf.destroy?.();
+  }
+}
+
+// Shared behaviour of the formats that are read as text sections.
+class TextSectionSource {
+  constructor(kind, { title = '', language = '', sections, outline, cover = null }) {
+    this.kind = kind;
+    this.title = title;
+    this.language = language;
+    this.sections = sections;
+    this.outline = outline;
+    this.cover = cover;
+    this.pageLabel = 'Section';
+  }
+
+  get pageCount() {
+    return this.sections.length;
+  }
+
+  async getPageContent(pageNumber) {
+    const section = this.sections[pageNumber - 1];
+    return { text: section?.text || '', headings: section?.headings || [] };
+  }
+
+  async loadLanguage() {
+    return baseLanguage(this.language);
+  }
+
+  async loadOutline() {
+    return this.outline;
+  }
+
+  async loadCover() {
+    return this.cover;
+  }
+
+  close() {}
+}
+
+class TextDocumentSource extends TextSectionSource {
+  static async open(file, kind) {
+    const source = decodeText(new Uint8Array(await file.arrayBuffer()));
+    const blocks = kind === 'markdown' ? markdownBlocks(source) : plainTextBlocks(source);
+    const { sections, outline } = buildTextSections(blocks);
+    const title = kind === 'markdown' ? blocks.find(block => block.level === 1)?.text || '' : '';
+    return new TextDocumentSource(kind, { title, sections, outline });
+  }
+}
+
+class EpubDocumentSource extends TextSectionSource {
+  static async open(file) {
+    const zip = await ZipArchive.open(file);
+    const container = parseMarkup(await zip.text('META-INF/container.xml'), 'application/xml');
+    const packagePath = elementsByName(container, 'rootfile')[0]?.getAttribute('full-path');
+    if (!packagePath || !zip.has(packagePath)) throw new Error('This EPUB has no readable package file.');
+
+    const opf = parseMarkup(await zip.text(packagePath), 'application/xml');
+    const manifest = new Map(elementsByName(opf, 'item').map(item => [item.getAttribute('id'), {
+      path: resolveZipPath(packagePath, item.getAttribute('href')),
+      type: item.getAttribute('media-type') || '',
+      properties: item.getAttribute('properties') || ''
+    }]));
+    const spine = elementsByName(opf, 'itemref')
+      .filter(ref => ref.getAttribute('linear') !== 'no')
+      .map(ref => manifest.get(ref.getAttribute('idref')))
+      .filter(item => item && /html/.test(item.type) && zip.has(item.path));
+
+    const blocks = [];
+    for (const item of spine) {
+      const doc = parseMarkup(await zip.text(item.path));
+      blocks.push({ pageBreak: true, anchors: [item.path] });
+      blocks.push(...htmlBlocks(doc.body || doc.documentElement, item.path));
+    }
+    const built = buildTextSections(blocks);
+    const toc = await EpubDocumentSource.readToc(zip, opf, manifest);
+    const outline = toc
+      .map(entry => ({ title: entry.title, level: entry.level, page: built.anchors.get(entry.path) || built.anchors.get(entry.path.split('#')[0]) || 0 }))
+      .filter(entry => entry.page);
+
+    return new EpubDocumentSource('epub', {
+      title: normalizeSpaces(elementsByName(opf, 'title')[0]?.textContent),
+      language: normalizeSpaces(elementsByName(opf, 'language')[0]?.textContent),
+      sections: built.sections,
+      outline: outline.length ? outline : built.outline,
+      cover: await EpubDocumentSource.readCover(zip, opf, manifest)
+    });
+  }
+
+  // Chapters from the EPUB 3 navigation document, or the EPUB 2 NCX.
+  static async readToc(zip, opf, manifest) {
+    const items = Array.from(manifest.values());
+    const entries = [];
+    try {
+      const nav = items.find(item => /\bnav\b/.test(item.properties));
+      if (nav && zip.has(nav.path)) {
+        const doc = parseMarkup(await zip.text(nav.path));
+        const navs = elementsByName(doc, 'nav');
+        const toc = navs.find(element => /\btoc\b/.test(element.getAttributeNS(EPUB_NAMESPACE, 'type') || element.getAttribute('epub:type') || '')) || navs[0];
+        const walk = (list, level) => Array.from(list?.children || []).forEach(li => {
+          const link = Array.from(li.children).find(child => child.localName === 'a');
+          const title = normalizeSpaces(link?.textContent);
+          if (title && link.getAttribute('href')) entries.push({ title, level, path: resolveZipPath(nav.path, link.getAttribute('href')) });
+          const nested = Array.from(li.children).find(child => child.localName === 'ol');
+          if (level < 2) walk(nested, level + 1);
+        });
+        walk(Array.from(toc?.children || []).find(child => child.localName === 'ol'), 0);
+        if (entries.length) return entries;
+      }
+
+      const ncxId = elementsByName(opf, 'spine')[0]?.getAttribute('toc');
+      const ncx = manifest.get(ncxId) || items.find(item => item.type === 'application/x-dtbncx+xml');
+      if (ncx && zip.has(ncx.path)) {
+        const doc = parseMarkup(await zip.text(ncx.path), 'application/xml');
+        const walk = (parent, level) => Array.from(parent?.children || []).forEach(point => {
+          if (point.localName !== 'navPoint') return;
+          const title = normalizeSpaces(elementsByName(point, 'text')[0]?.textContent);
+          const src = elementsByName(point, 'content')[0]?.getAttribute('src');
+          if (title && src) entries.push({ title, level, path: resolveZipPath(ncx.path, src) });
+          if (level < 2) walk(point, level + 1);
+        });
+        walk(elementsByName(doc, 'navMap')[0], 0);
+      }
+    } catch (error) {
+      console.warn('Could not read the EPUB table of contents:', error);
+    }
+    return entries;
+  }
+
+  static async readCover(zip, opf, manifest) {
+    const coverId = elementsByName(opf, 'meta').find(meta => meta.getAttribute('name') === 'cover')?.getAttribute('content');
+    const cover = Array.from(manifest.values()).find(item => /\bcover-image\b/.test(item.properties)) || manifest.get(coverId);
+    if (!cover || !/^image\//.test(cover.type) || !zip.has(cover.path)) return null;
+    try {
+      return new Blob([await zip.read(cover.path)], { type: cover.type });
+    } catch {
+      return null;
+    }
+  }
+}
+
+class DocxDocumentSource extends TextSectionSource {
+  static async open(file) {
+    const zip = await ZipArchive.open(file);
+    const doc = parseMarkup(await zip.text('word/document.xml'), 'application/xml');
+    const headingLevels = zip.has('word/styles.xml')
+      ? DocxDocumentSource.readHeadingStyles(parseMarkup(await zip.text('word/styles.xml'), 'application/xml'))
+      : new Map();
+
+    const blocks = elementsByName(doc, 'p').map(paragraph => {
+      let text = '';
+      Array.from(paragraph.getElementsByTagNameNS(WORD_NAMESPACE, '*')).forEach(node => {
+        if (node.localName === 't') text += node.textContent;
+        else if (node.localName === 'tab' || node.localName === 'br' || node.localName === 'cr') text += ' ';
+      });
+      const styleId = paragraph.getElementsByTagNameNS(WORD_NAMESPACE, 'pStyle')[0]?.getAttributeNS(WORD_NAMESPACE, 'val');
+      const outlineLevel = paragraph.getElementsByTagNameNS(WORD_NAMESPACE, 'outlineLvl')[0]?.getAttributeNS(WORD_NAMESPACE, 'val');
+      const level = headingLevels.get(styleId) || (outlineLevel ? Number(outlineLevel) + 1 : 0);
+      return { text, level: level >= 1 && level <= 6 ? level : 0 };
+    });
+
+    let title = '';
+    let language = '';
+    if (zip.has('docProps/core.xml')) {
+      const core = parseMarkup(await zip.text('docProps/core.xml'), 'application/xml');
+      title = normalizeSpaces(elementsByName(core, 'title')[0]?.textContent);
+      language = normalizeSpaces(elementsByName(core, 'language')[0]?.textContent);
+    }
+    const { sections, outline } = buildTextSections(blocks);
+    return new DocxDocumentSource('docx', { title, language, sections, outline });
+  }
+
+  // Maps paragraph style ids to heading levels. Style ids are localized ("berschrift1"), style names are not ("heading 1").
+  static readHeadingStyles(styles) {
+    const levels = new Map();
+    elementsByName(styles, 'style').forEach(style => {
+      const name = style.getElementsByTagNameNS(WORD_NAMESPACE, 'name')[0]?.getAttributeNS(WORD_NAMESPACE, 'val') || '';
+      const heading = name.match(/^heading (\d)$/i);
+      const outline = style.getElementsByTagNameNS(WORD_NAMESPACE, 'outlineLvl')[0]?.getAttributeNS(WORD_NAMESPACE, 'val');
+      const level = heading ? Number(heading[1]) : /^title$/i.test(name) ? 1 : outline ? Number(outline) + 1 : 0;
+      if (level) levels.set(style.getAttributeNS(WORD_NAMESPACE, 'styleId'), level);
+    });
+    return levels;
+  }
+}
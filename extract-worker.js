@@ -0,0 +1,19 @@
+// Turns pdf.js text items or section text into narration units off the main thread.
+// Pages must be posted in order: the speaker context and running-header history carry over from page to page.
+importScripts(`text-engine.js${self.location.search}`);
+
+let context = createExtractionContext();
+
+self.addEventListener('message', event => {
+  const { type, options, id, page, content } = event.data || {};
+  if (type === 'configure') {
+    context = createExtractionContext(options);
+    return;
+  }
+  try {
+    const { pageText, units, removed } = processPageContent(content, page, context);
+    self.postMessage({ id, page, pageText, units, removed });
+  } catch (error) {
+    self.postMessage({ id, page, error: error?.message || `Could not process page ${page}.` });
+  }
+});
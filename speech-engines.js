@@ -0,0 +1,569 @@
+// Speech engines: the player narrates through one small interface, so device voices and offline neural voices are interchangeable.
+// An engine has `id`, `label`, `description`, `available`, `supportsPitch`, `voices` ({name, lang, voiceURI, localService}),
+// `init()` (reports voices through `onvoiceschanged`), `speak(text, options, events)`, `cancel()`, `pause()` and `resume()`.
+// `options` are {voice, rate, pitch, volume, lang}; `events` are {onstart, onboundary({charIndex, charLength}), onend, onerror({error, fatal, message})}.
+// Optional: `unlock()` from a user gesture (Play, a preview or an export), `prefetch(text, options)`, `keepAlive()`, and `synthesize(text, options)`
+// resolving to {samples, sampleRate} (Float32 PCM, or null for nothing to say) for engines that render audio themselves.
+// `onstatus(message)` reports downloads.
+
+// Only the small ONNX Runtime script is bundled. Its WebAssembly and the Piper phonemizer (espeak-ng, GPL-3.0) are
+// downloaded from npm through jsDelivr with the first voice, at the pinned versions below. Each file must match its
+// SHA-256 (of the published npm file) before it is run.
+const NEURAL_ASSETS = {
+  runtime: {
+    url: 'vendor/onnxruntime/ort.wasm-core.min.js',
+    sha256: '9f26054b7e08ff6e04a4320232c846c7900a93ecd50ada560281b00bfc4d730c'
+  },
+  runtimeWasm: {
+    url: 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.18.0/dist/ort-wasm-simd.wasm',
+    sha256: 'f533b5f21790563d7556c611c3835ac65848ee326da2689aac54ed7d9cc8c6a4'
+  },
+  phonemizer: {
+    url: 'https://cdn.jsdelivr.net/npm/@diffusionstudio/piper-wasm@1.0.0/build/piper_phonemize.js',
+    sha256: 'fef0c2fc442d24fdef5c7c7cc37d5da2314407640fe11ab1bfe347c723dff19b'
+  },
+  phonemizerWasm: {
+    url: 'https://cdn.jsdelivr.net/npm/@diffusionstudio/piper-wasm@1.0.0/build/piper_phonemize.wasm',
+    sha256: 'b777cd107a91d2bcc6a1ea46f2c26a662a7407394fe84589198aeaa83dd7a9d6'
+  },
+  phonemizerData: {
+    url: 'https://cdn.jsdelivr.net/npm/@diffusionstudio/piper-wasm@1.0.0/build/piper_phonemize.data',
+    sha256: '29f1025eb23a5b5c192cd14a6efbce4509402ff265405072ee6f7d1a09b78f8c'
+  }
+};
+// The smallest module using a SIMD instruction; ONNX Runtime is only loaded in its SIMD build.
+const WASM_SIMD_TEST = [0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11];
+const NEURAL_SUPPORT_MB = 29;
+const NEURAL_VOICE_BASE_URL = 'https://huggingface.co/rhasspy/piper-voices/resolve/main';
+// Voice models and the support files above, kept so neural voices work offline after the first download.
+const NEURAL_VOICE_CACHE = 'pdf-story-reader-voices';
+// Each loaded model holds tens of MB of WebAssembly memory, so only the most recently used ones stay loaded.
+const NEURAL_MODEL_LIMIT = 3;
+const NEURAL_PREFETCH_LIMIT = 4;
+const NEURAL_BOUNDARY_INTERVAL_MS = 80;
+const NEURAL_VOICES = [
+  { id: 'en_US-hfc_female-medium', name: 'HFC Female (neural)' },
+  { id: 'en_US-amy-medium', name: 'Amy (neural)' },
+  { id: 'en_US-lessac-medium', name: 'Lessac (neural)' },
+  { id: 'en_US-ryan-medium', name: 'Ryan (neural)' },
+  { id: 'en_GB-alba-medium', name: 'Alba (neural)' },
+  { id: 'en_GB-northern_english_male-medium', name: 'Northern English Male (neural)' },
+  { id: 'de_DE-thorsten-medium', name: 'Thorsten (neural)' },
+  { id: 'fr_FR-siwis-medium', name: 'Siwis (neural)' },
+  { id: 'es_ES-davefx-medium', name: 'DaveFX (neural)' },
+  { id: 'it_IT-riccardo-x_low', name: 'Riccardo (neural)' },
+  { id: 'pt_BR-faber-medium', name: 'Faber (neural)' },
+  { id: 'nl_NL-mls-medium', name: 'MLS Dutch (neural)' },
+  { id: 'ru_RU-irina-medium', name: 'Irina (neural)' }
+];
+
+// Voice files live at <language>/<locale>/<speaker>/<quality>/<id>.onnx in the Piper voice repository.
+function supportsWasmSimd() {
+  try {
+    return WebAssembly.validate(new Uint8Array(WASM_SIMD_TEST));
+  } catch {
+    return false;
+  }
+}
+
+async function sha256Hex(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function neuralVoice({ id, name }) {
+  const [locale, speaker, quality] = id.split('-');
+  return {
+    name,
+    lang: locale.replace('_', '-'),
+    voiceURI: `neural:${id}`,
+    localService: true,
+    modelId: id,
+    path: `${locale.split('_')[0]}/${locale}/${speaker}/${quality}/${id}`,
+    downloadMb: quality === 'x_low' ? 20 : 60
+  };
+}
+
+class WebSpeechEngine {
+  constructor() {
+    this.id = 'device';
+    this.label = 'Device voices';
+    this.description = 'Uses the voices installed on this device.';
+    this.supportsPitch = true;
+    this.synth = typeof window !== 'undefined' && 'speechSynthesis' in window ? window.speechSynthesis : null;
+    this.voices = [];
+    this.onvoiceschanged = null;
+    this.onstatus = null;
+  }
+
+  get available() {
+    return Boolean(this.synth?.getVoices) && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  init() {
+    if (!this.available) return;
+    const refresh = () => {
+      try {
+        const voices = this.synth.getVoices() || [];
+        if (!voices.length) return;
+        this.voices = voices;
+        this.onvoiceschanged?.(voices);
+      } catch (error) {
+        console.warn('Could not load voices:', error);
+      }
+    };
+
+    refresh();
+    if ('onvoiceschanged' in this.synth) this.synth.onvoiceschanged = refresh;
+
+    let attempts = 0;
+    const timer = setInterval(() => {
+      attempts += 1;
+      refresh();
+      if (this.voices.length || attempts > 20) clearInterval(timer);
+    }, 250);
+  }
+
+  speak(text, options = {}, events = {}) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.voice = options.voice || null;
+    utterance.rate = options.rate ?? 1;
+    utterance.pitch = options.pitch ?? 1;
+    utterance.volume = options.volume ?? 1;
+    if (options.lang) utterance.lang = options.lang;
+    utterance.onstart = () => events.onstart?.();
+    utterance.onboundary = event => {
+      if (event.name && event.name !== 'word') return;
+      events.onboundary?.({ charIndex: event.charIndex || 0, charLength: event.charLength || 0 });
+    };
+    utterance.onend = () => events.onend?.();
+    utterance.onerror = event => events.onerror?.({ error: event.error, fatal: false, message: '' });
+    this.synth.speak(utterance);
+  }
+
+  cancel() {
+    try {
+      this.synth?.cancel();
+    } catch {
+      // Speech cancellation is optional.
+    }
+  }
+
+  pause() {
+    this.synth?.pause();
+  }
+
+  resume() {
+    this.synth?.resume();
+  }
+
+  // iOS silently pauses long narration; nudging it every few seconds keeps it going.
+  keepAlive() {
+    if (!this.synth?.paused) return;
+    try {
+      this.synth.resume();
+    } catch {
+      // Resume support varies by browser.
+    }
+  }
+}
+
+// Piper voices: espeak-ng turns text into phoneme ids, a VITS model turns them into audio, and Web Audio plays it.
+class NeuralSpeechEngine {
+  constructor(loadScript) {
+    this.id = 'neural';
+    this.label = 'Neural voices (one-time download)';
+    this.description = 'Each voice is downloaded once when you first use it (20–60 MB, plus 29 MB of voice support), after you agree. Then it works offline.';
+    this.supportsPitch = false;
+    this.loadScript = loadScript;
+    this.voices = NEURAL_VOICES.map(neuralVoice);
+    this.onvoiceschanged = null;
+    this.onstatus = null;
+    this.runtime = null;
+    this.phonemizer = null;
+    this.phonemeIds = null;
+    this.models = new Map();
+    this.declined = new Set();
+    this.askAllowed = false;
+    this.prefetched = new Map();
+    this.queue = Promise.resolve();
+    this.context = null;
+    this.gain = null;
+    this.source = null;
+    this.generation = 0;
+    this.boundaryTimer = null;
+  }
+
+  get available() {
+    return typeof WebAssembly !== 'undefined' && typeof BigInt64Array !== 'undefined' && supportsWasmSimd()
+      && Boolean(window.AudioContext || window.webkitAudioContext);
+  }
+
+  init() {
+    this.onvoiceschanged?.(this.voices);
+  }
+
+  // Audio contexts only start inside a user gesture, so Play creates or resumes it before any synthesis.
+  // A gesture is also the only time a download is offered, including one the user declined before.
+  unlock() {
+    this.startAudio();
+    this.askAllowed = true;
+    this.declined.clear();
+  }
+
+  startAudio() {
+    if (!this.context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.context = new AudioContextClass();
+      this.gain = this.context.createGain();
+      this.gain.connect(this.context.destination);
+    }
+    if (this.context.state === 'suspended') this.context.resume().catch(() => {});
+  }
+
+  speak(text, options = {}, events = {}) {
+    const generation = this.generation;
+    this.startAudio();
+    this.render(text, options)
+      .then(audio => {
+        if (generation === this.generation) this.play(audio, text, options, events, generation);
+      })
+      .catch(error => {
+        if (generation !== this.generation) return;
+        console.warn('Neural speech error:', error);
+        events.onerror?.({ error: 'synthesis-failed', fatal: Boolean(error.fatal), message: error.message });
+      });
+  }
+
+  cancel() {
+    this.generation += 1;
+    this.stopBoundaries();
+    const source = this.source;
+    this.source = null;
+    if (!source) return;
+    try {
+      source.stop();
+    } catch {
+      // The source may not have started yet.
+    }
+  }
+
+  pause() {
+    this.context?.suspend().catch(() => {});
+  }
+
+  resume() {
+    this.context?.resume().catch(() => {});
+  }
+
+  // Voices that still need downloading are skipped; they are offered when the text is spoken after a gesture.
+  async prefetch(text, options = {}) {
+    const key = this.audioKey(text, options);
+    if (this.prefetched.has(key)) return;
+    if ((await this.missingDownloads(this.voiceFor(options))).length || this.prefetched.has(key)) return;
+    const audio = this.synthesize(text, options);
+    // Failures are reported when the text is actually spoken.
+    audio.catch(() => {});
+    this.prefetched.set(key, audio);
+    while (this.prefetched.size > NEURAL_PREFETCH_LIMIT) this.prefetched.delete(this.prefetched.keys().next().value);
+  }
+
+  render(text, options) {
+    const key = this.audioKey(text, options);
+    const prefetched = this.prefetched.get(key);
+    this.prefetched.delete(key);
+    return prefetched || this.synthesize(text, options);
+  }
+
+  audioKey(text, options) {
+    return `${this.voiceFor(options).modelId}|${options.rate || 1}|${text}`;
+  }
+
+  // Device voices from a saved setting or another language fall back to a neural voice for the same language.
+  voiceFor(options = {}) {
+    if (options.voice?.modelId) return options.voice;
+    const lang = baseLanguage(options.lang || options.voice?.lang || '');
+    return this.voices.find(voice => baseLanguage(voice.lang) === lang) || this.voices[0];
+  }
+
+  // The model runs one request at a time; queuing keeps a prefetch from competing with the chunk being spoken.
+  synthesize(text, options) {
+    const voice = this.voiceFor(options);
+    const run = this.queue.then(() => this.runModel(text, voice, options.rate || 1));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async runModel(text, voice, rate) {
+    let model;
+    try {
+      await this.confirmDownload(voice);
+      await this.loadRuntime();
+      model = await this.loadModel(voice);
+    } catch (error) {
+      error.fatal = true;
+      throw error;
+    }
+
+    const ids = this.phonemize(text, model.config.espeak?.voice || voice.lang.toLowerCase());
+    if (!ids.length) return null;
+    const inference = model.config.inference || {};
+    const feeds = {
+      input: new ort.Tensor('int64', BigInt64Array.from(ids, BigInt), [1, ids.length]),
+      input_lengths: new ort.Tensor('int64', BigInt64Array.from([BigInt(ids.length)]), [1]),
+      scales: new ort.Tensor('float32', Float32Array.from([
+        inference.noise_scale ?? 0.667,
+        (inference.length_scale ?? 1) / rate,
+        inference.noise_w ?? 0.8
+      ]), [3])
+    };
+    if (model.config.num_speakers > 1) feeds.sid = new ort.Tensor('int64', BigInt64Array.from([0n]), [1]);
+    const results = await model.session.run(feeds);
+    return { samples: results.output.data, sampleRate: model.config.audio?.sample_rate || 22050 };
+  }
+
+  // Nothing is downloaded until the user agrees, and they are only asked between a gesture and the first audio while
+  // the page is in view: mid-narration, or from the lock screen where dialogs are suppressed, a missing voice stops instead.
+  async confirmDownload(voice) {
+    const missing = await this.missingDownloads(voice);
+    if (!missing.length) return;
+
+    if (this.askAllowed && !this.declined.has(voice.modelId) && document.visibilityState === 'visible') {
+      const size = missing.reduce((sum, file) => sum + file.mb, 0);
+      const hosts = missing.map(file => file.host).join(' and ');
+      const agreed = window.confirm(`${voice.name} needs a one-time download of about ${size} MB from ${hosts}. `
+        + 'It is kept on this device, so the voice works offline afterwards. Download it now?');
+      if (agreed) return;
+      this.declined.add(voice.modelId);
+    }
+    throw new Error(`${voice.name} has not been downloaded yet. Press Play to download it, or choose Device voices.`);
+  }
+
+  // Voices and support files already loaded or in the cache need no download.
+  async missingDownloads(voice) {
+    const missing = [];
+    if (!this.runtime && !(await this.isCached(NEURAL_ASSETS.phonemizerData.url))) {
+      missing.push({ mb: NEURAL_SUPPORT_MB, host: new URL(NEURAL_ASSETS.phonemizerData.url).host });
+    }
+    if (!this.models.has(voice.modelId) && !(await this.isCached(this.voiceFileUrl(voice, '.onnx')))) {
+      missing.push({ mb: voice.downloadMb, host: new URL(NEURAL_VOICE_BASE_URL).host });
+    }
+    return missing;
+  }
+
+  async isCached(url) {
+    try {
+      return Boolean(await (await caches.open(NEURAL_VOICE_CACHE)).match(url));
+    } catch {
+      return false;
+    }
+  }
+
+  loadRuntime() {
+    if (!this.runtime) {
+      this.runtime = (async () => {
+        this.onstatus?.('Loading neural voice support…');
+        const label = 'neural voice support';
+        const [runtimeScript, runtimeWasm, phonemizerScript, phonemizerWasm, data] = await Promise.all([
+          this.fetchVerified(NEURAL_ASSETS.runtime, label),
+          this.fetchVerified(NEURAL_ASSETS.runtimeWasm, label),
+          this.fetchVerified(NEURAL_ASSETS.phonemizer, label),
+          this.fetchVerified(NEURAL_ASSETS.phonemizerWasm, label),
+          this.fetchVerified(NEURAL_ASSETS.phonemizerData, label, true)
+        ]);
+        // Only the checked bytes are run, through blob URLs, so nothing is fetched again between the check and its use.
+        const blobUrl = (bytes, type) => URL.createObjectURL(new Blob([bytes], { type }));
+        await this.loadScript(blobUrl(runtimeScript, 'text/javascript'), 20000, () => typeof ort !== 'undefined', label);
+        await this.loadScript(blobUrl(phonemizerScript, 'text/javascript'), 20000, () => typeof createPiperPhonemize !== 'undefined', label);
+        ort.env.wasm.wasmPaths = { 'ort-wasm-simd.wasm': blobUrl(runtimeWasm, 'application/wasm') };
+        ort.env.wasm.numThreads = 1;
+        const wasm = await WebAssembly.compile(phonemizerWasm);
+        // One instance is kept for every call: creating it copies the 18 MB espeak-ng data into its file system.
+        this.phonemizer = await createPiperPhonemize({
+          noInitialRun: true,
+          print: line => {
+            try {
+              this.phonemeIds?.push(...(JSON.parse(line).phoneme_ids || []));
+            } catch {
+              // Only result lines are JSON.
+            }
+          },
+          printErr: message => console.warn('Phonemizer:', message),
+          getPreloadedPackage: () => data,
+          instantiateWasm: (imports, receive) => {
+            WebAssembly.instantiate(wasm, imports).then(instance => receive(instance, wasm));
+            return {};
+          }
+        });
+        this.onstatus?.('');
+      })();
+      this.runtime.catch(() => {
+        this.runtime = null;
+        this.onstatus?.('');
+      });
+    }
+    return this.runtime;
+  }
+
+  // The phonemizer is a command-line program, so each call runs its main() again and collects the ids it prints.
+  // Calls never overlap because synthesis is queued.
+  phonemize(text, espeakVoice) {
+    const ids = [];
+    this.phonemeIds = ids;
+    try {
+      this.phonemizer.callMain(['-l', espeakVoice, '--input', JSON.stringify([{ text }]), '--espeak_data', '/espeak-ng-data']);
+    } catch (error) {
+      if (!ids.length) throw error;
+    } finally {
+      this.phonemeIds = null;
+    }
+    return ids;
+  }
+
+  loadModel(voice) {
+    const existing = this.models.get(voice.modelId);
+    if (existing) {
+      this.models.delete(voice.modelId);
+      this.models.set(voice.modelId, existing);
+      return existing;
+    }
+
+    const model = (async () => {
+      const config = await (await this.fetchCached(this.voiceFileUrl(voice, '.onnx.json'), voice.name)).json();
+      const bytes = await (await this.fetchCached(this.voiceFileUrl(voice, '.onnx'), voice.name, true)).arrayBuffer();
+      const session = await ort.InferenceSession.create(new Uint8Array(bytes), { executionProviders: ['wasm'] });
+      return { config, session };
+    })();
+    model.catch(() => this.models.delete(voice.modelId));
+    this.models.set(voice.modelId, model);
+
+    while (this.models.size > NEURAL_MODEL_LIMIT) {
+      const [oldestId, oldest] = this.models.entries().next().value;
+      this.models.delete(oldestId);
+      oldest.then(entry => entry.session.release?.()).catch(() => {});
+    }
+    return model;
+  }
+
+  // A file that does not match its pinned hash is dropped from the cache and never run.
+  async fetchVerified(asset, label, showProgress = false) {
+    const url = new URL(asset.url, document.baseURI).href;
+    // The bundled script comes through the app's own offline cache; downloads are kept in the voice cache.
+    const response = new URL(url).origin === location.origin ? await fetch(url) : await this.fetchCached(url, label, showProgress);
+    if (!response.ok) throw new Error(`Could not load ${label}.`);
+    const bytes = await response.arrayBuffer();
+    if (await sha256Hex(bytes) !== asset.sha256) {
+      caches.open(NEURAL_VOICE_CACHE).then(cache => cache.delete(url)).catch(() => {});
+      throw new Error(`A ${label} file (${url.split('/').pop()}) did not match its checksum, so it was not run.`);
+    }
+    return bytes;
+  }
+
+  voiceFileUrl(voice, extension) {
+    return `${NEURAL_VOICE_BASE_URL}/${voice.path}${extension}`;
+  }
+
+  // Downloads are kept in Cache Storage after the first time so they work offline.
+  async fetchCached(url, label, showProgress = false) {
+    let cache = null;
+    try {
+      cache = await caches.open(NEURAL_VOICE_CACHE);
+      const cached = await cache.match(url);
+      if (cached) return cached;
+    } catch {
+      // Without Cache Storage the voice is downloaded each session.
+    }
+
+    let response;
+    try {
+      response = await fetch(url);
+    } catch {
+      throw new Error(`${label} has not been downloaded yet. Connect to the internet once to download it.`);
+    }
+    if (!response.ok) throw new Error(`Could not download ${label}.`);
+
+    const body = showProgress ? await this.readWithProgress(response, label) : await response.blob();
+    try {
+      await cache?.put(url, new Response(body, { headers: { 'Content-Type': response.headers.get('Content-Type') || '' } }));
+    } catch {
+      // Storage may be full; the voice still works for this session.
+    }
+    return new Response(body);
+  }
+
+  async readWithProgress(response, label) {
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (!response.body?.getReader) return response.blob();
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      const amount = total
+        ? `${Math.round((received / total) * 100)}%`
+        : `${Math.round(received / 1048576)} MB`;
+      this.onstatus?.(`Downloading ${label}… ${amount}`);
+    }
+    this.onstatus?.('');
+    return new Blob(chunks);
+  }
+
+  play(audio, text, options, events, generation) {
+    // Once narration is under way, no download is offered until the next gesture.
+    this.askAllowed = false;
+    events.onstart?.();
+    if (!audio) {
+      events.onend?.();
+      return;
+    }
+
+    const buffer = this.context.createBuffer(1, audio.samples.length, audio.sampleRate);
+    buffer.copyToChannel(audio.samples, 0);
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.gain);
+    this.gain.gain.value = options.volume ?? 1;
+    source.onended = () => {
+      if (this.source !== source) return;
+      this.source = null;
+      this.stopBoundaries();
+      if (generation === this.generation) events.onend?.();
+    };
+    this.source = source;
+    source.start();
+    if (events.onboundary) this.trackBoundaries(text, buffer.duration, events.onboundary, generation);
+  }
+
+  // The model reports no word timings, so words are placed by their share of the text across the clip's exact length.
+  trackBoundaries(text, duration, onboundary, generation) {
+    this.stopBoundaries();
+    const words = Array.from(text.matchAll(/\S+/g), match => ({ charIndex: match.index, charLength: match[0].length }));
+    if (!words.length || !duration) return;
+    const startedAt = this.context.currentTime;
+    let next = 0;
+    const tick = () => {
+      if (generation !== this.generation) {
+        this.stopBoundaries();
+        return;
+      }
+      const position = ((this.context.currentTime - startedAt) / duration) * text.length;
+      let current = null;
+      while (next < words.length && words[next].charIndex <= position) {
+        current = words[next];
+        next += 1;
+      }
+      if (current) onboundary(current);
+      if (next >= words.length) this.stopBoundaries();
+    };
+    tick();
+    this.boundaryTimer = setInterval(tick, NEURAL_BOUNDARY_INTERVAL_MS);
+  }
+
+  stopBoundaries() {
+    clearInterval(this.boundaryTimer);
+    this.boundaryTimer = null;
+  }
+}
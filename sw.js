@@ -0,0 +1,89 @@
+// Offline support: precaches the app and its vendored libraries, serves them cache-first,
+// and receives books shared from other apps (Web Share Target).
+// VERSION must match the ?v= query strings in index.html and EXTRACT_WORKER_URL in app.js.
+const VERSION = '20261019-32';
+const CACHE_NAME = `pdf-story-reader-${VERSION}`;
+// Large vendored files fetched on first use (OCR model) are kept across versions.
+const VENDOR_CACHE_NAME = 'pdf-story-reader-vendor';
+const SHARE_CACHE_NAME = 'pdf-story-reader-shared';
+// Neural voice models and support files downloaded by speech-engines.js.
+const VOICE_CACHE_NAME = 'pdf-story-reader-voices';
+const SHARED_FILE_URL = 'shared-file';
+const PRECACHE_URLS = [
+  './',
+  'styles.css',
+  `text-engine.js?v=${VERSION}`,
+  `document-sources.js?v=${VERSION}`,
+  `speech-engines.js?v=${VERSION}`,
+  `app.js?v=${VERSION}`,
+  `extract-worker.js?v=${VERSION}`,
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-maskable.svg',
+  'vendor/pdfjs/pdf.min.js',
+  'vendor/pdfjs/pdf.worker.min.js'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(
+    PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))
+  )));
+});
+
+self.addEventListener('activate', event => {
+  const keep = [CACHE_NAME, VENDOR_CACHE_NAME, SHARE_CACHE_NAME, VOICE_CACHE_NAME];
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+// The page asks a waiting version to take over once the listener agrees to reload.
+self.addEventListener('message', event => {
+  if (event.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+    event.respondWith(receiveSharedFile(request));
+    return;
+  }
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(caches.match('./').then(cached => cached || fetch(request)));
+    return;
+  }
+  event.respondWith(caches.match(request).then(cached => cached || fetchAndKeep(request, url)));
+});
+
+async function fetchAndKeep(request, url) {
+  const response = await fetch(request);
+  if (response.ok && url.pathname.includes('/vendor/')) {
+    const cache = await caches.open(VENDOR_CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Stores the shared file for the page to pick up, then opens the reader.
+async function receiveSharedFile(request) {
+  try {
+    const data = await request.formData();
+    const file = data.getAll('book').find(value => value instanceof File);
+    if (file) {
+      const cache = await caches.open(SHARE_CACHE_NAME);
+      await cache.put(SHARED_FILE_URL, new Response(file, {
+        headers: {
+          'Content-Type': file.type || 'application/octet-stream',
+          'X-File-Name': encodeURIComponent(file.name),
+          'X-Last-Modified': String(file.lastModified)
+        }
+      }));
+    }
+  } catch (error) {
+    console.warn('Could not receive the shared file:', error);
+  }
+  return Response.redirect('./?shared=1', 303);
+}
@@ -0,0 +1,42 @@
+// Measures speaker attribution against annotated passages in fixtures/attribution.json.
+// Each passage lists the expected speaker of every quote in order; null means the reader should not be sure
+// (no speaker, or one below the low-confidence mark the reader uses). Exits non-zero below `minimumAccuracy`.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Must match LOW_SPEAKER_CONFIDENCE in app.js.
+const LOW_SPEAKER_CONFIDENCE = 0.5;
+
+const engine = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'text-engine.js'), 'utf8'), engine);
+const { passages, minimumAccuracy } = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'attribution.json'), 'utf8'));
+
+function attribute(text) {
+  const context = engine.createExtractionContext({ language: 'en' });
+  return engine.buildUnitsForPage(text, 1, context)
+    .flatMap(unit => unit.segments)
+    .filter(segment => segment.type === 'dialogue');
+}
+
+let correct = 0;
+let total = 0;
+passages.forEach(passage => {
+  const lines = attribute(passage.text);
+  const misses = [];
+  passage.speakers.forEach((expected, index) => {
+    const line = lines[index];
+    const confident = line?.speaker && line.confidence >= LOW_SPEAKER_CONFIDENCE;
+    const ok = expected === null ? !confident : confident && line.speaker === expected;
+    total += 1;
+    if (ok) correct += 1;
+    else misses.push(`  ${line?.text || `line ${index + 1}`}: expected ${expected ?? 'unsure'}, got ${line?.speaker ?? 'nobody'} (${line?.confidence ?? 0})`);
+  });
+  if (lines.length !== passage.speakers.length) misses.push(`  found ${lines.length} quotes, expected ${passage.speakers.length}`);
+  console.log(`${misses.length ? '✗' : '✓'} ${passage.name}`);
+  misses.forEach(miss => console.log(miss));
+});
+
+const accuracy = total ? correct / total : 0;
+console.log(`\nAttribution accuracy: ${correct}/${total} (${(accuracy * 100).toFixed(1)}%), minimum ${(minimumAccuracy * 100).toFixed(0)}%`);
+if (accuracy < minimumAccuracy) process.exitCode = 1;
@@ -0,0 +1,27 @@
+// Checks spoken-text normalization and the fallback sentence splitter against fixtures/normalization.json.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Hide Intl.Segmenter so the regex splitter used by older browsers is what gets tested.
+const engine = vm.createContext({ Intl: undefined });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'text-engine.js'), 'utf8'), engine);
+const { speech, sentences } = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'normalization.json'), 'utf8'));
+
+let failures = 0;
+const check = (name, actual, expected) => {
+  try {
+    assert.deepStrictEqual(actual, expected);
+    console.log(`✓ ${name}`);
+  } catch {
+    failures += 1;
+    console.log(`✗ ${name}\n  expected ${JSON.stringify(expected)}\n  got      ${JSON.stringify(actual)}`);
+  }
+};
+
+speech.forEach(([text, expected]) => check(text, engine.normalizeForSpeech(text, 'en').text, expected));
+sentences.forEach(([text, expected]) => check(text, Array.from(engine.segmentSentences(text, 'en')), expected));
+
+console.log(`\n${speech.length + sentences.length - failures}/${speech.length + sentences.length} normalization checks passed`);
+if (failures) process.exitCode = 1;
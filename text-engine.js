@@ -0,0 +1,1133 @@
+// Text processing shared by the reader page and the extraction worker.
+// Everything here is pure: it only turns pdf.js text items or section text into page text, units and segments.
+
+const CHAPTER_HEADING_PATTERN = /^(?:(?:chapter|chap\.|part|book)\s+(?:\d{1,3}|[ivxlcdm]{1,8}|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty)\b|(?:prologue|epilogue|preface|foreword|introduction|interlude|afterword)\b)/i;
+const ROMAN_HEADING_PATTERN = /^[IVXLC]{1,7}\.?$/;
+const PAGE_NUMBER_PATTERN = /^(?:page\s+)?[-–—(\[]?\s*(?:\d{1,4}|[ivxlcdm]{1,7})\s*[-–—)\]]?$/i;
+const FOOTNOTE_MARKER_PATTERN = /^[\d*†‡§]{1,3}$/;
+const RUNNING_LINE_WINDOW = 4;
+// How many of those pages must have the same line at about the same place and size before it is skipped.
+const RUNNING_LINE_REPEATS = 2;
+const SENTENCE_ABBREVIATION_PATTERN = /(?:^|[\s(])(?:mr|mrs|ms|dr|st|mt|prof|capt|col|gen|lt|sgt|rev|jr|sr|vs|e\.g|i\.e|ch|vol|fig|pp?)\.$/i;
+const NUMBER_ABBREVIATION_PATTERN = /(?:^|[\s(])no\.$/i;
+// "J. K." and "John F." are initials; "plan A." is not.
+const SENTENCE_INITIAL_PATTERN = /(?:^|[\s(])\p{Lu}[\p{L}.]*\s+\p{Lu}\.$/u;
+const NEXT_INITIAL_PATTERN = /^\p{Lu}\.(?:\s|$)/u;
+const CAPTION_PATTERN = /^(?:fig(?:ure)?|table|plate|photo|image|chart|exhibit|source)\.?\s*[\dIVX]/i;
+const SCRIPT_LANGUAGES = [
+  ['ar', /\p{Script=Arabic}/gu],
+  ['he', /\p{Script=Hebrew}/gu],
+  ['ru', /\p{Script=Cyrillic}/gu],
+  ['el', /\p{Script=Greek}/gu],
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ['ko', /\p{Script=Hangul}/gu],
+  ['zh', /\p{Script=Han}/gu],
+  ['hi', /\p{Script=Devanagari}/gu],
+  ['th', /\p{Script=Thai}/gu]
+];
+const LANGUAGE_STOPWORDS = {
+  en: 'the and of to in is was that it he she with for as his her you not but had on at',
+  de: 'der die das und ist nicht ein eine ich sie er zu den mit sich auf für dem des war auch',
+  fr: 'le la les et est une un des du que qui dans pour pas ne il elle au avec sur je vous',
+  es: 'el la los las y que de en un una es por con para no se del lo su al pero',
+  it: 'il la che di e un una non per sono è gli le del della con si ma anche',
+  pt: 'o a os as que de não um uma para com é do da em se por mais mas',
+  nl: 'de het een en van is dat niet ik je die op te met zijn voor was'
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(LANGUAGE_STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(' '))]));
+const RTL_LANGUAGES = new Set(['ar', 'he', 'fa', 'ur', 'yi']);
+const SPEECH_VERBS = 'said|says|asked|asks|replied|answered|whispered|shouted|murmured|muttered|called|cried|added|continued|exclaimed|snapped|laughed|yelled|breathed|remarked|responded|insisted|told|agreed|admitted|explained|demanded|growled|hissed|sighed|screamed|bellowed|roared|pleaded|protested|suggested|warned|wondered|repeated|interrupted|mumbled|grumbled|retorted|announced|gasped|sneered|shrieked|stammered|went on';
+const MALE_TITLES = new Set(['mr', 'sir', 'lord', 'king', 'prince', 'uncle', 'father', 'brother', 'master', 'duke']);
+const FEMALE_TITLES = new Set(['mrs', 'ms', 'miss', 'lady', 'queen', 'princess', 'aunt', 'mother', 'sister', 'madam', 'madame', 'duchess']);
+// Capitalised words that start sentences or tags but are never speakers.
+const NON_NAME_WORDS = new Set('he she they i we you it his her their the a an then but and so suddenly chapter when while as after before now still yes no oh well this that there here what why how who where if just even finally at in on of with for from one someone everyone nobody something meanwhile later once'.split(' '));
+const SPEAKER_NAME = String.raw`(?:(?:Mr|Mrs|Ms|Dr|Prof|Professor|Sir|Lady|Lord|Miss|Madam|Aunt|Uncle|Captain)\.?\s+)?\p{Lu}[\p{Ll}’'-]{1,24}(?:\s+\p{Lu}[\p{Ll}’'-]{1,24})?`;
+const SPEAKER_ADVERB = String.raw`(?:\p{Ll}+ly\s+)?`;
+const CHARACTER_NAME_PATTERN = new RegExp(SPEAKER_NAME, 'gu');
+// "…," said Harry quietly / "…," Harry said / "…," she whispered — right after the closing quote.
+const SPEECH_TAG_AFTER_PATTERN = new RegExp(String.raw`^[\s,;:—–-]*(?:${SPEAKER_ADVERB}(?:${SPEECH_VERBS})\s+(${SPEAKER_NAME}|he|she)|(${SPEAKER_NAME}|he|she|He|She)\s+${SPEAKER_ADVERB}(?:${SPEECH_VERBS}))\b`, 'u');
+// Harry said, "…" / She turned to Ron and said: "…" — ending right before the opening quote.
+const SPEECH_TAG_BEFORE_PATTERN = new RegExp(String.raw`(?:^|[.!?]\s+|\s)(${SPEAKER_NAME}|he|she|He|She)\s+${SPEAKER_ADVERB}(?:\p{Ll}+\s+and\s+)?(?:${SPEECH_VERBS})\b[^.!?“”"«»]{0,40}$`, 'u');
+// "…" Harry grinned. / Harry grinned. "…" — a character doing something next to the line.
+const ACTION_BEAT_AFTER_PATTERN = new RegExp(String.raw`^[\s,;:—–-]*(${SPEAKER_NAME}|He|She)\s+\p{Ll}`, 'u');
+const ACTION_BEAT_BEFORE_PATTERN = new RegExp(String.raw`(?:^|[.!?]\s+)(${SPEAKER_NAME}|He|She)\s+\p{Ll}[^.!?“”"«»]*[.!?,:—–-]?\s*$`, 'u');
+// Tag verbs that say how a line is delivered, read as a quieter or a louder line.
+const WHISPER_VERBS = 'whispered|murmured|breathed|muttered|mumbled|hissed';
+const SHOUT_VERBS = 'shouted|yelled|screamed|shrieked|bellowed|roared|exclaimed|cried';
+const DELIVERY_AFTER_PATTERN = new RegExp(String.raw`^[\s,;:—–-]*[^.!?“”"«»]{0,40}?\b(${WHISPER_VERBS}|${SHOUT_VERBS})\b`, 'u');
+const DELIVERY_BEFORE_PATTERN = new RegExp(String.raw`\b(${WHISPER_VERBS}|${SHOUT_VERBS})\b[^.!?“”"«»]{0,40}$`, 'u');
+const WHISPER_VERB_PATTERN = new RegExp(`^(?:${WHISPER_VERBS})$`);
+// "* * *", "***", "#" or "⁂" on a line of their own.
+const SCENE_BREAK_PATTERN = /^(?:[*#~•·⁂]\s*){1,5}$/u;
+// The first third-person pronoun after a name, before the next name or the end of the sentence, usually refers to it.
+const GENDER_PRONOUN_PATTERN = /\b(he|him|his|himself|she|her|hers|herself)\b/i;
+const MALE_PRONOUNS = new Set(['he', 'him', 'his', 'himself']);
+
+function normalizeSpaces(text) {
+  return String(text || '')
+    .replace(/[\u00a0\u2007\u202f]/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s+([,.;:!?])/g, '$1')
+    .replace(/([“"'])\s+/g, '$1')
+    .replace(/\s+([”"'])/g, '$1')
+    .trim();
+}
+
+function wordCount(text) {
+  const match = String(text || '').trim().match(/\b[\p{L}\p{N}’'-]+\b/gu);
+  return match ? match.length : 0;
+}
+
+// `characters` holds gender cues and tag counts per name; `mentions` the characters most recently named, for pronouns.
+function createSpeakerContext() {
+  return {
+    recentSpeakers: [],
+    lastDialogueSpeaker: null,
+    characters: {},
+    mentions: [],
+    paragraph: null,
+    previousParagraph: null,
+    untaggedTurns: 0
+  };
+}
+
+// Extraction also remembers the edge lines of recent pages, so running headers can be spotted as pages stream in.
+// `keepFiltered` lists filter keys the reader chose to hear anyway.
+function createExtractionContext(options = {}) {
+  return {
+    ...createSpeakerContext(),
+    language: options.language || '',
+    lastLanguage: '',
+    recentEdges: [],
+    sceneBreak: false,
+    keepFiltered: new Set(options.keepFiltered || [])
+  };
+}
+
+function buildPageText(items) {
+  if (!items?.length) return '';
+  let result = '';
+  let previous = null;
+
+  for (const item of items) {
+    const text = item.str || '';
+    if (!text) continue;
+    const x = item.transform?.[4] ?? 0;
+    const y = item.transform?.[5] ?? 0;
+
+    if (previous) {
+      const yDiff = Math.abs(y - previous.y);
+      if (item.block !== previous.block) result += '\n\n';
+      else if (previous.hasEOL || yDiff > 10) result += yDiff > 18 ? '\n\n' : '\n';
+      else if (x > previous.x && !result.endsWith(' ') && !result.endsWith('\n')) result += ' ';
+    }
+
+    result += text;
+    previous = { x, y, hasEOL: Boolean(item.hasEOL), block: item.block };
+  }
+
+  return tidyPageText(result);
+}
+
+function tidyPageText(text) {
+  return String(text || '')
+    .replace(/-\n(?=[a-z])/g, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function normalizeToken(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function buildWordBoxes(items) {
+  const boxes = [];
+  (items || []).forEach(item => {
+    const text = item.str || '';
+    if (!text.trim()) return;
+    const x = item.transform?.[4] ?? 0;
+    const y = item.transform?.[5] ?? 0;
+    const height = item.height || Math.hypot(item.transform?.[2] || 0, item.transform?.[3] || 0) || 10;
+    const charWidth = (item.width || 0) / text.length;
+
+    for (const match of text.matchAll(/\S+/g)) {
+      const token = normalizeToken(match[0]);
+      if (!token) continue;
+      // Items carry the baseline; extend below it so descenders are covered.
+      boxes.push({
+        token,
+        x: x + match.index * charWidth,
+        y: y - height * 0.22,
+        width: match[0].length * charWidth,
+        height: height * 1.22,
+        italic: Boolean(item.italic)
+      });
+    }
+  });
+  return boxes;
+}
+
+function matchWordBoxes(boxes, cursor, token) {
+  const limit = Math.min(boxes.length, cursor + 40);
+  for (let index = cursor; index < limit; index += 1) {
+    let joined = '';
+    // A word split by a line-end hyphen or across pdf.js items spans several boxes.
+    for (let end = index; end < Math.min(boxes.length, index + 3); end += 1) {
+      joined += boxes[end].token;
+      if (joined === token) return { boxes: boxes.slice(index, end + 1), next: end + 1 };
+      if (!token.startsWith(joined)) break;
+    }
+  }
+  return null;
+}
+
+function mergeLineBoxes(boxes) {
+  const rects = [];
+  boxes.forEach(box => {
+    const last = rects[rects.length - 1];
+    if (last && Math.abs(last[1] - box.y) < box.height * 0.5 && box.x >= last[0] - 1) {
+      const right = Math.max(last[0] + last[2], box.x + box.width);
+      const top = Math.max(last[1] + last[3], box.y + box.height);
+      last[1] = Math.min(last[1], box.y);
+      last[2] = right - last[0];
+      last[3] = top - last[1];
+    } else {
+      rects.push([box.x, box.y, box.width, box.height]);
+    }
+  });
+  return rects.map(rect => rect.map(value => Math.round(value * 10) / 10));
+}
+
+// Adds `rects` ([x, y, width, height] in PDF page units, y from the bottom) to every segment,
+// and `emphasis`, the share of its words set in italics, to segments that have any.
+function locateUnitsOnPage(units, items) {
+  const boxes = buildWordBoxes(items);
+  let cursor = 0;
+
+  units.forEach(unit => unit.segments.forEach(segment => {
+    const found = [];
+    (segment.text.match(/\S+/g) || []).forEach(word => {
+      const token = normalizeToken(word);
+      if (!token) return;
+      const match = matchWordBoxes(boxes, cursor, token);
+      if (!match) return;
+      found.push(...match.boxes);
+      cursor = match.next;
+    });
+    segment.rects = mergeLineBoxes(found);
+    const italic = found.filter(box => box.italic).length;
+    if (italic) segment.emphasis = Math.round((italic / found.length) * 100) / 100;
+  }));
+
+  return units;
+}
+
+function findLargeFontLines(items) {
+  const textItems = (items || []).filter(item => item.str?.trim() && item.height);
+  if (textItems.length < 4) return [];
+  const heights = textItems.map(item => item.height).sort((a, b) => a - b);
+  const median = heights[Math.floor(heights.length / 2)];
+
+  const lines = [];
+  textItems.forEach(item => {
+    const y = item.transform?.[5] ?? 0;
+    const last = lines[lines.length - 1];
+    if (last && Math.abs(last.y - y) <= 2) {
+      last.text += ` ${item.str}`;
+      last.height = Math.max(last.height, item.height);
+    } else {
+      lines.push({ y, text: item.str, height: item.height });
+    }
+  });
+
+  return lines
+    .filter(line => line.height >= median * 1.4 && line.text.trim().length <= 80 && /\p{L}/u.test(line.text))
+    .map(line => normalizeToken(line.text))
+    .filter(Boolean);
+}
+
+// Flags short units that look like chapter headings: "Chapter 12", "Part Two", roman numerals or large-font lines.
+function markHeadingUnits(units, items) {
+  const largeLines = findLargeFontLines(items);
+  units.forEach(unit => {
+    const text = unit.text.trim();
+    if (text.length > 80) return;
+    const token = normalizeToken(text);
+    const isLarge = token && largeLines.some(line => line === token || (line.length > 3 && token.startsWith(line)));
+    if (CHAPTER_HEADING_PATTERN.test(text) || ROMAN_HEADING_PATTERN.test(text) || isLarge) unit.heading = true;
+  });
+  return units;
+}
+
+function groupItemLines(items) {
+  const lines = [];
+  items.forEach(item => {
+    const y = item.transform?.[5] ?? 0;
+    const last = lines[lines.length - 1];
+    if (last && Math.abs(last.y - y) <= 2) {
+      last.items.push(item);
+      last.text += ` ${item.str}`;
+      last.height = Math.max(last.height, item.height || 0);
+    } else {
+      lines.push({ y, text: item.str, height: item.height || 0, items: [item] });
+    }
+  });
+  return lines;
+}
+
+// Digits become "#" so "The Hobbit 12" and "The Hobbit 14" count as the same running header.
+function lineSignature(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\d+/g, '#')
+    .replace(/[^\p{L}#]+/gu, ' ')
+    .trim();
+}
+
+// Drops page numbers, running headers/footers and superscript footnote markers before the page text is built.
+// A header or footer is the outermost line (or the one beside a page number) already seen at the same place and size
+// on the edges of several recent pages. Chapter headings are never running lines, even when they differ only by number.
+function filterPageItems(items, context) {
+  const removed = [];
+  const drop = new Set();
+  const textItems = (items || []).filter(item => item.str?.trim());
+  if (!textItems.length) return { items: items || [], removed };
+
+  const skip = (entry, lineItems) => {
+    const kept = context.keepFiltered.has(entry.key);
+    removed.push({ ...entry, kept });
+    if (!kept) lineItems.forEach(item => drop.add(item));
+  };
+
+  const heights = textItems.map(item => item.height).filter(Boolean).sort((a, b) => a - b);
+  const median = heights[Math.floor(heights.length / 2)] || 0;
+  if (median) {
+    textItems.forEach((item, index) => {
+      const previous = textItems[index - 1];
+      const text = item.str.trim();
+      if (!previous || !FOOTNOTE_MARKER_PATTERN.test(text) || !item.height || item.height > median * 0.8) return;
+      const rise = (item.transform?.[5] ?? 0) - (previous.transform?.[5] ?? 0);
+      if (rise > median * 0.15 && rise < median) skip({ kind: 'footnote-marker', key: 'footnote-marker', text }, [item]);
+    });
+  }
+
+  const lines = groupItemLines(textItems).sort((a, b) => b.y - a.y);
+  const edges = [];
+  const seen = new Set();
+  const sameLine = (edge, line, signature) => edge.signature === signature
+    && Math.abs(edge.y - line.y) <= Math.max(line.height, 2) * 2
+    && Math.abs(edge.height - line.height) <= line.height * 0.2;
+
+  const checkEdge = (line, kind) => {
+    if (!line || seen.has(line)) return false;
+    seen.add(line);
+    const text = normalizeSpaces(line.text);
+    if (PAGE_NUMBER_PATTERN.test(text)) {
+      skip({ kind: 'page-number', key: 'page-number', text }, line.items);
+      return true;
+    }
+    const signature = lineSignature(text);
+    if (!signature || text.length > 100 || !/\p{L}/u.test(signature) || CHAPTER_HEADING_PATTERN.test(text)) return false;
+    edges.push({ signature, y: line.y, height: line.height });
+    const repeats = context.recentEdges.filter(page => page.some(edge => sameLine(edge, line, signature))).length;
+    if (lines.length >= 4 && repeats >= RUNNING_LINE_REPEATS) {
+      skip({ kind, key: `${kind}:${signature}`, text }, line.items);
+    }
+    return false;
+  };
+
+  if (checkEdge(lines[0], 'header')) checkEdge(lines[1], 'header');
+  if (checkEdge(lines[lines.length - 1], 'footer')) checkEdge(lines[lines.length - 2], 'footer');
+
+  context.recentEdges = [...context.recentEdges, edges].slice(-RUNNING_LINE_WINDOW);
+  return { items: drop.size ? items.filter(item => !drop.has(item)) : items, removed };
+}
+
+// Splits one baseline row into fragments wherever the horizontal gap is wide enough to be a column gutter.
+function splitRowFragments(row, median) {
+  const fragments = [];
+  row.sort((a, b) => a.x - b.x).forEach(piece => {
+    const last = fragments[fragments.length - 1];
+    if (last && piece.x - last.x1 <= median * 1.5) {
+      last.pieces.push(piece);
+      last.x1 = Math.max(last.x1, piece.x + piece.width);
+      last.height = Math.max(last.height, piece.height);
+    } else {
+      fragments.push({ pieces: [piece], x0: piece.x, x1: piece.x + piece.width, y: piece.y, height: piece.height });
+    }
+  });
+  return fragments;
+}
+
+// Reads columns left to right; blocks wider than most of the group (titles, full-width paragraphs) split it into bands read top to bottom.
+function orderLayoutBlocks(blocks, gutter) {
+  if (blocks.length <= 1) return blocks;
+  const byLeft = [...blocks].sort((a, b) => a.x0 - b.x0);
+  let right = byLeft[0].x1;
+  for (let index = 1; index < byLeft.length; index += 1) {
+    if (byLeft[index].x0 - right > gutter) {
+      return [...orderLayoutBlocks(byLeft.slice(0, index), gutter), ...orderLayoutBlocks(byLeft.slice(index), gutter)];
+    }
+    right = Math.max(right, byLeft[index].x1);
+  }
+
+  const byTop = [...blocks].sort((a, b) => b.top - a.top || a.x0 - b.x0);
+  const width = right - byLeft[0].x0;
+  const isWide = block => block.x1 - block.x0 > width * 0.6;
+  const wideCount = blocks.filter(isWide).length;
+  if (!wideCount || wideCount === blocks.length) return byTop;
+
+  const ordered = [];
+  let band = [];
+  byTop.forEach(block => {
+    if (!isWide(block)) {
+      band.push(block);
+      return;
+    }
+    ordered.push(...orderLayoutBlocks(band, gutter), block);
+    band = [];
+  });
+  return [...ordered, ...orderLayoutBlocks(band, gutter)];
+}
+
+// Groups pdf.js items into text blocks (columns, headings, captions, sidebars) and returns them in reading order.
+// Each block's items are copies tagged with the block index, so buildPageText can break paragraphs between blocks.
+function analyzePageLayout(items) {
+  const textItems = (items || []).filter(item => item.str?.trim());
+  if (!textItems.length) return { blocks: [] };
+  const heights = textItems.map(item => item.height).filter(Boolean).sort((a, b) => a - b);
+  const median = heights[Math.floor(heights.length / 2)] || 10;
+
+  const pieces = textItems
+    .map(item => ({
+      item,
+      x: item.transform?.[4] ?? 0,
+      y: item.transform?.[5] ?? 0,
+      width: item.width || 0,
+      height: item.height || median
+    }))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const rows = [];
+  pieces.forEach(piece => {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row[0].y - piece.y) <= median * 0.5) row.push(piece);
+    else rows.push([piece]);
+  });
+
+  const blocks = [];
+  rows.forEach(row => splitRowFragments(row, median).forEach(fragment => {
+    const block = blocks.find(candidate => {
+      const gap = candidate.lastY - fragment.y;
+      const overlap = Math.min(candidate.x1, fragment.x1) - Math.max(candidate.x0, fragment.x0);
+      const ratio = fragment.height / candidate.height;
+      return gap > 0 && gap <= Math.max(candidate.height, fragment.height) * 1.8
+        && overlap > Math.min(candidate.x1 - candidate.x0, fragment.x1 - fragment.x0) * 0.3
+        && ratio > 0.75 && ratio < 1.33;
+    });
+
+    if (block) {
+      block.fragments.push(fragment);
+      block.x0 = Math.min(block.x0, fragment.x0);
+      block.x1 = Math.max(block.x1, fragment.x1);
+      block.lastY = fragment.y;
+      block.bottom = fragment.y;
+    } else {
+      blocks.push({
+        fragments: [fragment],
+        x0: fragment.x0,
+        x1: fragment.x1,
+        top: fragment.y + fragment.height,
+        bottom: fragment.y,
+        lastY: fragment.y,
+        height: fragment.height
+      });
+    }
+  }));
+
+  const pageLeft = Math.min(...blocks.map(block => block.x0));
+  const pageWidth = Math.max(...blocks.map(block => block.x1)) - pageLeft;
+
+  return {
+    blocks: orderLayoutBlocks(blocks, median).map((block, index) => {
+      const blockPieces = block.fragments.flatMap(fragment => fragment.pieces);
+      const text = normalizeSpaces(blockPieces.map(piece => piece.item.str).join(' '));
+      const lines = new Set(block.fragments.map(fragment => fragment.y)).size;
+      const fontSize = blockPieces.reduce((sum, piece) => sum + piece.height, 0) / blockPieces.length;
+      let kind = 'body';
+      if (CAPTION_PATTERN.test(text) && lines <= 4) kind = 'caption';
+      else if (fontSize < median * 0.85 && lines >= 2 && block.x1 - block.x0 < pageWidth * 0.45) kind = 'sidebar';
+
+      return {
+        index,
+        kind,
+        text,
+        x: block.x0,
+        y: block.bottom - block.height * 0.25,
+        width: block.x1 - block.x0,
+        height: block.top - block.bottom + block.height * 0.25,
+        items: blockPieces.map(piece => ({ ...piece.item, block: index }))
+      };
+    })
+  };
+}
+
+function processPageItems(items, page, context) {
+  const filtered = filterPageItems(items, context);
+  const removed = [...filtered.removed];
+  const readItems = [];
+  analyzePageLayout(filtered.items).blocks.forEach(block => {
+    if (block.kind !== 'body') {
+      const kept = context.keepFiltered.has(block.kind);
+      removed.push({ kind: block.kind, key: block.kind, text: block.text.slice(0, 60), kept });
+      if (!kept) return;
+    }
+    readItems.push(...block.items);
+  });
+
+  const pageText = buildPageText(readItems);
+  const units = buildUnitsForPage(pageText, page, context);
+  locateUnitsOnPage(units, readItems);
+  markHeadingUnits(units, readItems);
+  return { pageText, units, removed };
+}
+
+// Sections that arrive as text (EPUB, DOCX, plain text, Markdown): paragraphs are separated by blank lines
+// and `headings` lists the paragraphs the source marked as headings.
+function processSectionText(text, headings, page, context) {
+  const pageText = String(text || '').split(/\n\s*\n/).map(normalizeSpaces).filter(Boolean).join('\n\n');
+  const units = buildUnitsForPage(pageText, page, context);
+  const headingTokens = new Set((headings || []).map(normalizeToken));
+  units.forEach(unit => {
+    if (unit.text.length <= 120 && (headingTokens.has(normalizeToken(unit.text)) || CHAPTER_HEADING_PATTERN.test(unit.text))) unit.heading = true;
+  });
+  return { pageText, units, removed: [] };
+}
+
+// `content` is either `{ items }` from a PDF page or `{ text, headings }` from a text section.
+function processPageContent(content, page, context) {
+  return content.items ? processPageItems(content.items, page, context) : processSectionText(content.text, content.headings, page, context);
+}
+
+function buildUnitsForPage(pageText, page, context) {
+  const units = [];
+  if (!pageText.trim()) return units;
+  const paragraphs = pageText
+    .split(/\n\s*\n|\n(?=\s{0,4}[\p{Lu}“"«])/u)
+    .map(normalizeSpaces)
+    .filter(Boolean);
+
+  paragraphs.forEach(paragraph => {
+    // A scene break is not read; the next unit, possibly on a later page, gets a longer pause instead.
+    if (SCENE_BREAK_PATTERN.test(paragraph)) {
+      context.sceneBreak = true;
+      return;
+    }
+    beginParagraph(context);
+    let continued = false;
+    const lang = detectLanguage(paragraph, context.lastLanguage || context.language);
+    if (lang) context.lastLanguage = lang;
+    const sentences = segmentSentences(paragraph, lang);
+    let bucket = '';
+
+    const flush = () => {
+      const text = normalizeSpaces(bucket);
+      if (!text) return;
+      const segments = buildPerformanceSegments(text, context);
+      const unit = { page, text, segments, words: wordCount(text), lang };
+      if (continued) unit.continued = true;
+      if (context.sceneBreak) unit.sceneBreak = true;
+      context.sceneBreak = false;
+      units.push(unit);
+      continued = true;
+      bucket = '';
+    };
+
+    sentences.forEach(sentence => {
+      const candidate = `${bucket}${bucket ? ' ' : ''}${sentence}`;
+      const hasDialogueBoundary = /[”"]\s*$/.test(bucket) || /^[“"]/.test(sentence);
+      if (bucket && (candidate.length > 460 || (bucket.length > 220 && hasDialogueBoundary))) flush();
+      bucket += `${bucket ? ' ' : ''}${sentence}`;
+    });
+
+    flush();
+  });
+
+  return units;
+}
+
+// Primary language subtag: "de-AT" and "de_DE" both become "de".
+function baseLanguage(tag) {
+  return String(tag || '').toLowerCase().split(/[-_]/)[0];
+}
+
+// Guesses a paragraph's language from its script, or from common words for Latin-script text.
+// Short or ambiguous text keeps `fallback`, usually the previous paragraph's language or the PDF's /Lang.
+function detectLanguage(text, fallback = '') {
+  const sample = String(text || '').slice(0, 600);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (!letters) return baseLanguage(fallback);
+
+  for (const [lang, pattern] of SCRIPT_LANGUAGES) {
+    if ((sample.match(pattern) || []).length / letters > 0.3) {
+      // Kanji-only passages in a Japanese book stay Japanese.
+      if (lang === 'zh' && baseLanguage(fallback) === 'ja') return 'ja';
+      if (lang === 'ar' && baseLanguage(fallback) === 'fa') return 'fa';
+      return lang;
+    }
+  }
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < 4) return baseLanguage(fallback);
+  const scores = Object.entries(STOPWORD_SETS)
+    .map(([lang, set]) => [lang, words.reduce((sum, word) => sum + (set.has(word) ? 1 : 0), 0)])
+    .sort((a, b) => b[1] - a[1]);
+  const [best, second] = scores;
+  if (best[1] < 2 || best[1] < second[1] * 1.3) return baseLanguage(fallback) || (best[1] >= 2 ? best[0] : '');
+  return best[0];
+}
+
+function isRtlLanguage(lang) {
+  return RTL_LANGUAGES.has(baseLanguage(lang));
+}
+
+function segmentSentences(text, lang = 'en') {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    try {
+      const segmenter = new Intl.Segmenter(lang || 'en', { granularity: 'sentence' });
+      return Array.from(segmenter.segment(text), entry => entry.segment.trim()).filter(Boolean);
+    } catch {
+      // Fall through to regex segmentation.
+    }
+  }
+
+  // Without Intl.Segmenter, a "sentence" ending in a title, an initial or "No." before a number continues into the next one.
+  return (text.match(/[^.!?]+(?:[.!?]+[”"']?|$)/g) || [text])
+    .map(part => part.trim())
+    .filter(Boolean)
+    .reduce((sentences, part) => {
+      const last = sentences.length - 1;
+      if (last >= 0 && continuesSentence(sentences[last], part)) sentences[last] += ` ${part}`;
+      else sentences.push(part);
+      return sentences;
+    }, []);
+}
+
+function continuesSentence(sentence, next) {
+  return SENTENCE_ABBREVIATION_PATTERN.test(sentence)
+    || (NUMBER_ABBREVIATION_PATTERN.test(sentence) && /^\d/.test(next))
+    || SENTENCE_INITIAL_PATTERN.test(sentence)
+    || (/(?:^|[\s(])\p{Lu}\.$/u.test(sentence) && NEXT_INITIAL_PATTERN.test(next));
+}
+
+function buildPerformanceSegments(text, context) {
+  const quotePattern = /([“"][^”"]{1,1200}[”"]|«[^»]{1,1200}»)/g;
+  const quotes = Array.from(text.matchAll(quotePattern));
+  const segments = [];
+  let lastIndex = 0;
+
+  quotes.forEach((match, index) => {
+    const end = match.index + match[0].length;
+    if (match.index > lastIndex) {
+      const narration = text.slice(lastIndex, match.index);
+      noteCharacterMentions(narration, context);
+      segments.push({ type: 'narration', text: narration, speaker: null });
+    }
+
+    // A tag or beat belongs to a quote only up to the neighbouring quotes, so one line's tag never names the next.
+    const head = text.slice(lastIndex, match.index);
+    const tail = text.slice(end, quotes[index + 1]?.index ?? text.length);
+    const { speaker, confidence } = attributeQuote(head, match[0], tail, context);
+    const line = { type: 'dialogue', text: match[0], speaker, confidence };
+    const delivery = tagDelivery(head, tail);
+    if (delivery) line.delivery = delivery;
+    segments.push(line);
+    lastIndex = end;
+  });
+
+  if (lastIndex < text.length) {
+    const narration = text.slice(lastIndex);
+    noteCharacterMentions(narration, context);
+    segments.push({ type: 'narration', text: narration, speaker: null });
+  }
+  if (!segments.length) segments.push({ type: 'narration', text, speaker: null });
+
+  return segments
+    .map(segment => ({ ...segment, text: normalizeSpaces(segment.text) }))
+    .filter(segment => segment.text);
+}
+
+// "whisper" or "shout" when the line's speech tag says so ("she whispered", "he shouted").
+function tagDelivery(head, tail) {
+  const match = DELIVERY_AFTER_PATTERN.exec(tail) || DELIVERY_BEFORE_PATTERN.exec(head);
+  if (!match) return '';
+  return WHISPER_VERB_PATTERN.test(match[1]) ? 'whisper' : 'shout';
+}
+
+// How a passage ends, past closing quotes and a trailing comma: "question", "exclamation", "ellipsis", "dash" or "".
+function closingPunctuation(text) {
+  const end = String(text || '').replace(/[\s”"»’'),]+$/u, '');
+  if (/(?:\.\s?\.\s?\.|…)$/u.test(end)) return 'ellipsis';
+  if (/[—–-]$/u.test(end)) return 'dash';
+  if (/\?[!?]*$/u.test(end)) return 'question';
+  if (/![!?]*$/u.test(end)) return 'exclamation';
+  return '';
+}
+
+// Paragraphs matter for dialogue: quotes in one paragraph share a speaker, and speakers usually take turns by paragraph.
+function beginParagraph(context) {
+  context.previousParagraph = context.paragraph;
+  context.paragraph = { speaker: null, confidence: 0, dialogue: false };
+}
+
+// Strongest evidence first: a speech tag next to the quote, then an action beat, then the paragraph's
+// earlier quotes, then turn-taking with the previous paragraph. Confidence runs from 0 (unknown) to 1.
+function attributeQuote(head, quote, tail, context) {
+  const paragraph = context.paragraph || (context.paragraph = { speaker: null, confidence: 0, dialogue: false });
+  let found = detectSpeaker(head, tail, context);
+  if (!found && paragraph.speaker) found = { speaker: paragraph.speaker, confidence: Math.min(0.85, paragraph.confidence * 0.95) };
+  if (!found) found = inferDialogueSpeaker(quote, context);
+
+  paragraph.dialogue = true;
+  if (!found?.speaker) return { speaker: null, confidence: 0 };
+  const confidence = Math.round(found.confidence * 100) / 100;
+  paragraph.speaker = found.speaker;
+  paragraph.confidence = confidence;
+  if (found.explicit) context.untaggedTurns = 0;
+  else if (found.turn) context.untaggedTurns = (context.untaggedTurns || 0) + 1;
+  if (found.explicit) characterEntry(context, found.speaker).tagged += 1;
+  rememberSpeaker(context, found.speaker);
+  return { speaker: found.speaker, confidence };
+}
+
+function detectSpeaker(head, tail, context) {
+  const find = (checks, confidence, knownOnly) => {
+    for (const [pattern, zone] of checks) {
+      const match = pattern.exec(zone);
+      const found = match && resolveSpeakerReference(match[1] || match[2], context, confidence, knownOnly);
+      if (found) return { ...found, explicit: true };
+    }
+    return null;
+  };
+
+  // A beat after the line ("…" Harry grinned.) only counts for characters already seen, as it may start new action;
+  // a beat right before the line introduces its speaker, even a new one. Openers such as "Suddenly" are never names.
+  return find([[SPEECH_TAG_AFTER_PATTERN, tail], [SPEECH_TAG_BEFORE_PATTERN, head]], 0.95, false)
+    || find([[ACTION_BEAT_AFTER_PATTERN, tail]], 0.75, true)
+    || find([[ACTION_BEAT_BEFORE_PATTERN, head]], 0.75, false);
+}
+
+// Untagged lines alternate with the previous paragraph's speaker. Each untagged turn in a row is less certain,
+// and a paragraph of narration in between breaks the exchange.
+function inferDialogueSpeaker(quote, context) {
+  const previous = context.previousParagraph;
+  const last = previous?.speaker || context.lastDialogueSpeaker;
+  if (!last) return null;
+  const other = context.recentSpeakers.slice().reverse().find(name => name !== last);
+  const exchange = previous?.dialogue && previous.speaker;
+  const base = exchange ? 0.65 * 0.9 ** (context.untaggedTurns || 0) : 0.35;
+
+  // Speakers rarely call themselves by name: "Ron, look!" is not said by Ron.
+  const addressed = name => new RegExp(`(?:^|[,!?]\\s*|[“"«])${escapeRegExp(name.split(' ')[0])}\\b`, 'u').test(quote);
+  const candidates = exchange ? [other, last] : [last, other];
+  const speaker = candidates.find(name => name && !addressed(name));
+  return speaker ? { speaker, confidence: speaker === candidates[0] ? base : base * 0.6, turn: true } : null;
+}
+
+// A name is used as written; "he" or "she" goes to the most recently mentioned character of that gender.
+function resolveSpeakerReference(reference, context, confidence, knownOnly = false) {
+  const pronoun = String(reference || '').toLowerCase();
+  if (pronoun === 'he' || pronoun === 'she') {
+    const resolved = resolvePronoun(pronoun === 'he' ? 'male' : 'female', context);
+    return resolved && { speaker: resolved.speaker, confidence: confidence * resolved.confidence };
+  }
+  const name = cleanSpeakerName(reference);
+  if (!name) return null;
+  if (knownOnly && !context.characters?.[name]?.tagged && !titleGender(name)) return null;
+  return { speaker: name, confidence };
+}
+
+function resolvePronoun(gender, context) {
+  const mentions = context.mentions || [];
+  for (let index = mentions.length - 1; index >= 0; index -= 1) {
+    if (characterGender(mentions[index], context) === gender) return { speaker: mentions[index], confidence: 0.85 };
+  }
+
+  // Nobody of that gender is known. Rule out whoever is known to be the other gender, then prefer the character
+  // the paragraph is about, then the one in the conversation who did not just speak.
+  const possible = name => {
+    const known = characterGender(name, context);
+    return Boolean(name) && (!known || known === gender);
+  };
+  const current = context.paragraph?.speaker;
+  if (possible(current)) return { speaker: current, confidence: 0.8 };
+  const last = context.lastDialogueSpeaker;
+  const other = context.recentSpeakers.slice().reverse().find(name => name !== last);
+  const partner = [other, last].find(possible);
+  // The speaker who just spoke is likely only when the other one is ruled out: "…," said Hermione. "…?" she asked.
+  if (partner) return { speaker: partner, confidence: partner === other ? 0.6 : other ? 0.75 : 0.5 };
+  const mentioned = mentions.slice().reverse().find(possible);
+  return mentioned ? { speaker: mentioned, confidence: 0.4 } : null;
+}
+
+// Drops sentence openers caught by the capitalised-name pattern ("Then Harry" becomes "Harry").
+function cleanSpeakerName(text) {
+  const words = String(text || '').trim().split(/\s+/);
+  while (words.length && NON_NAME_WORDS.has(words[0].toLowerCase())) words.shift();
+  const name = words.join(' ');
+  return name && !NON_NAME_WORDS.has(words[words.length - 1].toLowerCase()) ? name : null;
+}
+
+function characterEntry(context, name) {
+  if (!context.characters) context.characters = {};
+  return context.characters[name] || (context.characters[name] = { male: 0, female: 0, tagged: 0 });
+}
+
+function titleGender(name) {
+  const title = String(name).split(/[\s.]/)[0].toLowerCase();
+  if (MALE_TITLES.has(title)) return 'male';
+  if (FEMALE_TITLES.has(title)) return 'female';
+  return '';
+}
+
+// Gender comes from a title, or from the pronouns that follow the name in narration, by a clear majority.
+function characterGender(name, context) {
+  const fromTitle = titleGender(name);
+  if (fromTitle) return fromTitle;
+  const entry = context.characters?.[name];
+  if (!entry) return '';
+  if (entry.male >= 1 && entry.male >= entry.female * 2) return 'male';
+  if (entry.female >= 1 && entry.female >= entry.male * 2) return 'female';
+  return '';
+}
+
+// Narration keeps the list of recently mentioned characters for pronouns, and collects gender cues:
+// "Harry looked up from his book" and "Hermione dropped her bag" each count once.
+function noteCharacterMentions(text, context) {
+  text.split(/(?<=[.!?])\s+/).forEach(sentence => {
+    const names = Array.from(sentence.matchAll(CHARACTER_NAME_PATTERN))
+      .map(match => ({ name: cleanSpeakerName(match[0]), end: match.index + match[0].length, start: match.index }))
+      .filter(found => found.name);
+    names.forEach((found, index) => {
+      const pronoun = GENDER_PRONOUN_PATTERN.exec(sentence.slice(found.end, names[index + 1]?.start ?? sentence.length));
+      if (pronoun) characterEntry(context, found.name)[MALE_PRONOUNS.has(pronoun[1].toLowerCase()) ? 'male' : 'female'] += 1;
+      if (context.characters?.[found.name]) rememberMention(context, found.name);
+    });
+  });
+}
+
+function rememberMention(context, name) {
+  context.mentions = (context.mentions || []).filter(item => item !== name);
+  context.mentions.push(name);
+  context.mentions = context.mentions.slice(-8);
+}
+
+function rememberSpeaker(context, speaker) {
+  const name = speaker.trim();
+  context.recentSpeakers = context.recentSpeakers.filter(item => item !== name);
+  context.recentSpeakers.push(name);
+  context.recentSpeakers = context.recentSpeakers.slice(-4);
+  context.lastDialogueSpeaker = name;
+  characterEntry(context, name);
+  rememberMention(context, name);
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Pronunciation rules rewrite only the spoken text. Plain rules match whole words in any case;
+// regex rules are used as written and may refer to groups as $1 in the replacement. Invalid patterns are skipped.
+function compileLexicon(rules) {
+  return (rules || []).map(rule => {
+    if (!rule?.match) return null;
+    try {
+      const say = String(rule.say ?? '');
+      if (!rule.regex) {
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(rule.match)}(?![\\p{L}\\p{N}])`, 'giu');
+        return { pattern, replace: () => say };
+      }
+      const pattern = new RegExp(rule.match, 'gu');
+      return {
+        pattern,
+        replace: match => say.replace(/\$(\d+|&)/g, (token, group) => (group === '&' ? match[0] : match[Number(group)] ?? ''))
+      };
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+function applyLexicon(text, lexicon) {
+  return rewriteText(text, lexicon);
+}
+
+// Applies { pattern, replace(match) } rules in one pass and returns the spoken text plus, for every spoken
+// character, the range of source text it came from, so word boundaries reported by the voice can still be
+// highlighted in the displayed text. Earlier matches win; at the same position the rule listed first wins.
+function rewriteText(text, rules) {
+  const source = String(text || '');
+  if (!rules?.length) return { text: source, starts: null, ends: null };
+
+  const matches = [];
+  rules.forEach((rule, order) => {
+    rule.pattern.lastIndex = 0;
+    let match;
+    while ((match = rule.pattern.exec(source))) {
+      if (!match[0]) {
+        rule.pattern.lastIndex += 1;
+        continue;
+      }
+      matches.push({ start: match.index, end: match.index + match[0].length, say: rule.replace(match), order });
+    }
+  });
+  if (!matches.length) return { text: source, starts: null, ends: null };
+
+  matches.sort((a, b) => a.start - b.start || a.order - b.order);
+  let spoken = '';
+  const starts = [];
+  const ends = [];
+  let cursor = 0;
+  const copy = until => {
+    for (; cursor < until; cursor += 1) {
+      spoken += source[cursor];
+      starts.push(cursor);
+      ends.push(cursor + 1);
+    }
+  };
+
+  matches.forEach(match => {
+    if (match.start < cursor) return;
+    copy(match.start);
+    spoken += match.say;
+    for (let index = 0; index < match.say.length; index += 1) {
+      starts.push(match.start);
+      ends.push(match.end);
+    }
+    cursor = match.end;
+  });
+  copy(source.length);
+  return { text: spoken, starts, ends };
+}
+
+// Chains two rewrites: `second` was applied to `first.text`, the result maps straight back to the original.
+function composeRewrites(first, second) {
+  if (!second.starts) return { ...first, text: second.text };
+  if (!first.starts) return second;
+  const last = first.starts.length - 1;
+  return {
+    text: second.text,
+    starts: second.starts.map(index => first.starts[clampIndex(index, last)]),
+    ends: second.ends.map(index => first.ends[clampIndex(index - 1, last)])
+  };
+}
+
+function mapSpokenRange(spoken, start, end) {
+  if (!spoken.starts) return [start, end];
+  const last = spoken.starts.length - 1;
+  if (last < 0) return [0, 0];
+  const from = spoken.starts[clampIndex(start, last)];
+  const to = spoken.ends[clampIndex(end - 1, last)];
+  return [from, Math.max(from, to)];
+}
+
+function clampIndex(index, last) {
+  return Math.min(Math.max(index, 0), last);
+}
+
+const SMALL_NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS_WORDS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const IRREGULAR_ORDINALS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+// English number words for whole numbers below a million.
+function numberWords(value) {
+  const n = Math.floor(value);
+  if (n < 20) return SMALL_NUMBER_WORDS[n];
+  if (n < 100) return `${TENS_WORDS[Math.floor(n / 10)]}${n % 10 ? `-${SMALL_NUMBER_WORDS[n % 10]}` : ''}`;
+  if (n < 1000) return `${SMALL_NUMBER_WORDS[Math.floor(n / 100)]} hundred${n % 100 ? ` ${numberWords(n % 100)}` : ''}`;
+  return `${numberWords(Math.floor(n / 1000))} thousand${n % 1000 ? ` ${numberWords(n % 1000)}` : ''}`;
+}
+
+function replaceLastWord(words, change) {
+  return words.replace(/[a-z]+$/, change);
+}
+
+function ordinalWords(value) {
+  return replaceLastWord(numberWords(value), word => IRREGULAR_ORDINALS[word] || (word.endsWith('y') ? `${word.slice(0, -1)}ieth` : `${word}th`));
+}
+
+function pluralNumberWords(words) {
+  return replaceLastWord(words, word => (word.endsWith('y') ? `${word.slice(0, -1)}ies` : `${word}s`));
+}
+
+// "1990" is read as "nineteen ninety", "1905" as "nineteen oh five", "2008" as "two thousand eight".
+function yearWords(year) {
+  if (year >= 2000 && year < 2010) return numberWords(year);
+  const high = Math.floor(year / 100);
+  const low = year % 100;
+  if (!low) return `${numberWords(high)} hundred`;
+  return `${numberWords(high)} ${low < 10 ? `oh ${numberWords(low)}` : numberWords(low)}`;
+}
+
+function romanToNumber(numeral) {
+  const values = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+  const digits = numeral.toUpperCase().split('').map(letter => values[letter] || 0);
+  return digits.reduce((sum, digit, index) => sum + (digit < (digits[index + 1] || 0) ? -digit : digit), 0);
+}
+
+// Words for each supported language; English also gets number, year, ordinal and currency words.
+const NORMALIZATION_WORDS = {
+  en: {
+    headings: 'Chapter|Chap\\.|Ch\\.|Part|Book|Volume|Vol\\.|Act|Scene|Section|Appendix',
+    headingNames: { 'Chap.': 'Chapter', 'Ch.': 'Chapter', 'Vol.': 'Volume' },
+    abbreviations: {
+      'Dr.': 'Doctor', 'Mr.': 'Mister', 'Mrs.': 'Missus', 'Ms.': 'Miz', 'Prof.': 'Professor', 'Capt.': 'Captain',
+      'Col.': 'Colonel', 'Gen.': 'General', 'Lt.': 'Lieutenant', 'Sgt.': 'Sergeant', 'Rev.': 'Reverend', 'Mt.': 'Mount',
+      'Jr.': 'Junior', 'Sr.': 'Senior', 'vs.': 'versus', 'etc.': 'et cetera', 'e.g.': 'for example', 'i.e.': 'that is',
+      'approx.': 'approximately', 'Fig.': 'Figure', 'Ch.': 'Chapter', 'Vol.': 'Volume'
+    },
+    beforeNumber: { 'No.': 'number', 'pp.': 'pages', 'p.': 'page' },
+    sentenceEnders: ['etc.'],
+    and: 'and', percent: 'percent', section: 'section', sections: 'sections', link: 'link to', email: 'email address at',
+    saint: 'Saint', street: 'Street'
+  },
+  de: {
+    headings: 'Kapitel|Teil|Buch|Band|Akt|Szene|Abschnitt',
+    abbreviations: { 'Dr.': 'Doktor', 'Prof.': 'Professor', 'z.B.': 'zum Beispiel', 'usw.': 'und so weiter', 'bzw.': 'beziehungsweise', 'ca.': 'circa', 'd.h.': 'das heißt', 'Hr.': 'Herr', 'Fr.': 'Frau' },
+    beforeNumber: { 'Nr.': 'Nummer', 'S.': 'Seite' },
+    sentenceEnders: ['usw.'],
+    and: 'und', percent: 'Prozent', section: 'Paragraf', sections: 'Paragrafen', link: 'Link zu', email: 'E-Mail-Adresse bei'
+  },
+  fr: {
+    headings: 'Chapitre|Partie|Livre|Tome|Acte|Scène|Section',
+    abbreviations: { 'M.': 'Monsieur', 'Mme': 'Madame', 'Mlle': 'Mademoiselle', 'Dr': 'Docteur', 'etc.': 'et cetera', 'p.ex.': 'par exemple' },
+    beforeNumber: { 'n°': 'numéro', 'p.': 'page' },
+    sentenceEnders: ['etc.'],
+    and: 'et', percent: 'pour cent', section: 'paragraphe', sections: 'paragraphes', link: 'lien vers', email: 'adresse e-mail chez'
+  },
+  es: {
+    headings: 'Capítulo|Cap\\.|Parte|Libro|Tomo|Acto|Escena|Sección',
+    headingNames: { 'Cap.': 'Capítulo' },
+    abbreviations: { 'Sr.': 'Señor', 'Sra.': 'Señora', 'Srta.': 'Señorita', 'Dr.': 'Doctor', 'Dra.': 'Doctora', 'etc.': 'etcétera', 'Ud.': 'usted' },
+    beforeNumber: { 'núm.': 'número', 'pág.': 'página' },
+    sentenceEnders: ['etc.'],
+    and: 'y', percent: 'por ciento', section: 'sección', sections: 'secciones', link: 'enlace a', email: 'correo en'
+  }
+};
+
+const CURRENCY_WORDS = {
+  $: ['dollar', 'dollars', 'cent', 'cents'],
+  '£': ['pound', 'pounds', 'penny', 'pence'],
+  '€': ['euro', 'euros', 'cent', 'cents'],
+  '¥': ['yen', 'yen']
+};
+
+const normalizationRuleCache = new Map();
+
+// Rules that make numbers, abbreviations, symbols and links read naturally. Only the spoken text changes.
+function buildNormalizationRules(locale = 'en') {
+  const language = String(locale || 'en').toLowerCase().split(/[-_]/)[0];
+  const key = NORMALIZATION_WORDS[language] ? language : 'en';
+  if (normalizationRuleCache.has(key)) return normalizationRuleCache.get(key);
+
+  const words = NORMALIZATION_WORDS[key];
+  const wordList = list => Object.keys(list).map(escapeRegExp).join('|');
+  const rules = [
+    {
+      pattern: /\b(?:https?:\/\/|www\.)[^\s<>"”)]*[^\s<>"”).,;:!?]/giu,
+      replace: match => `${words.link} ${match[0].replace(/^(?:https?:\/\/)?(?:www\.)?/i, '').split(/[/?#]/)[0]}`
+    },
+    {
+      pattern: /\b[\w.+-]+@((?:[\w-]+\.)+[\w-]+)\b/gu,
+      replace: match => `${words.email} ${match[1]}`
+    },
+    {
+      // Only a heading: "Chapter IV" alone on its line or before its title ("Part II: Winter"), never "Book I read".
+      pattern: new RegExp(`(?<=^\\s*)(${words.headings})\\s+([IVXLC]{1,7})(?=\\s*(?:$|[.:—–-](?:\\s|$)))`, 'gmu'),
+      replace: match => `${words.headingNames?.[match[1]] || match[1]} ${romanToNumber(match[2])}`
+    },
+    {
+      pattern: /§§\s*/gu,
+      replace: () => `${words.sections} `
+    },
+    {
+      pattern: /§\s*(\d+[a-z]?)(?:\s*\(([a-z0-9]{1,3})\))?/giu,
+      replace: match => `${words.section} ${match[1]}${match[2] ? ` ${match[2]}` : ''}`
+    },
+    {
+      pattern: new RegExp(`(?<![\\p{L}.])(${wordList(words.beforeNumber)})(?=\\s*\\d)`, 'gu'),
+      replace: match => words.beforeNumber[match[1]]
+    },
+    {
+      pattern: new RegExp(`(?<![\\p{L}.])(${wordList(words.abbreviations)})(?![\\p{L}])`, 'gu'),
+      replace: match => {
+        // "etc." can also end the sentence; keep its full stop then.
+        const next = match.input.slice(match.index + match[0].length);
+        const endsSentence = words.sentenceEnders?.includes(match[1]) && /^(?:\s*$|\s+\p{Lu})/u.test(next);
+        return `${words.abbreviations[match[1]]}${endsSentence ? '.' : ''}`;
+      }
+    },
+    {
+      pattern: /\s&\s/gu,
+      replace: () => ` ${words.and} `
+    },
+    {
+      pattern: /(\d)\s?%/gu,
+      replace: match => `${match[1]} ${words.percent}`
+    }
+  ];
+
+  if (key === 'en') {
+    rules.push(
+      {
+        // "St. Paul" and "In St. Louis" are saints; "Baker St." is a street. The saint rule comes first so it wins.
+        pattern: /(?<![\p{L}])St\.(?=\s*\p{Lu})/gu,
+        replace: () => words.saint
+      },
+      {
+        pattern: /(?<=(?:\p{Lu}\p{Ll}+|\d+(?:st|nd|rd|th)?)\s)(?:St\.|St(?![.\p{L}]))(?!\s*\p{Lu})/gu,
+        replace: () => words.street
+      },
+      {
+        // "$3.50" is 3 dollars 50 cents, "$3.5 million" is 3.5 million dollars; other decimals are read as written.
+        pattern: /([$£€¥])\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?!\.?\d)(?:\s+(thousand|million|billion|trillion)(?![\p{L}]))?/gu,
+        replace: match => {
+          const [, symbol, amount, decimals, scale] = match;
+          const [one, many, minorOne, minorMany] = CURRENCY_WORDS[symbol];
+          if (scale) return `${amount}${decimals ? `.${decimals}` : ''} ${scale} ${many}`;
+          if (decimals && decimals.length !== 2) return match[0];
+          const whole = Number(amount.replace(/,/g, ''));
+          const minor = decimals ? Number(decimals) : 0;
+          const main = `${amount} ${whole === 1 ? one : many}`;
+          if (!minor || !minorOne) return main;
+          if (!whole) return `${minor} ${minor === 1 ? minorOne : minorMany}`;
+          return `${main} ${minor} ${minor === 1 ? minorOne : minorMany}`;
+        }
+      },
+      {
+        pattern: /(?<![\p{L}\p{N}])(1[0-9]|20)(\d0)s(?![\p{L}])/gu,
+        replace: match => pluralNumberWords(yearWords(Number(`${match[1]}${match[2]}`)))
+      },
+      {
+        pattern: /[’'](\d0)s(?![\p{L}])/gu,
+        replace: match => pluralNumberWords(numberWords(Number(match[1])))
+      },
+      {
+        pattern: /(?<![\p{L}\p{N}])(\d{1,6})(st|nd|rd|th)(?![\p{L}])/giu,
+        replace: match => ordinalWords(Number(match[1]))
+      },
+      {
+        pattern: /(\d)\s?°\s?([CF])(?![\p{L}])/gu,
+        replace: match => `${match[1]} degrees ${match[2] === 'C' ? 'Celsius' : 'Fahrenheit'}`
+      }
+    );
+  }
+
+  normalizationRuleCache.set(key, rules);
+  return rules;
+}
+
+function normalizeForSpeech(text, locale = 'en') {
+  return rewriteText(text, buildNormalizationRules(locale));
+}